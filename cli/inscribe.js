@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+// inscribe from the command line with a local mnemonic or wif key, no browser extension involved.
+// the key is read from --key-file or the INSCRIBE_KEY env var so it never ends up in shell history
+import { readFileSync, writeFileSync, existsSync } from 'node:fs';
+import { dirname, extname, resolve } from 'node:path';
+import { parseArgs } from 'node:util';
+import * as bitcoin from 'bitcoinjs-lib';
+import { isP2TR } from 'bitcoinjs-lib/src/psbt/psbtutils.js';
+
+import { NETWORKS } from '../src/networks.js';
+import { EsploraProvider, BitcoinCoreProvider } from '../src/providers.js';
+import { PrivateKeyWallet, MnemonicWallet } from '../src/wallets.js';
+import { Inscription } from '../src/inscriptions.js';
+import { Inscriber, checkInscriptionDestinations } from '../src/inscriber.js';
+import { serializeBackups, parseBackups } from '../src/backups.js';
+
+const USAGE = `Usage: inscribe [options] [file...]
+
+Inscribes each file, or each entry of a manifest, in one commit and as few reveals as fit.
+
+Options:
+  --key-file <path>       file holding a bip39 mnemonic or a wif key (default: INSCRIBE_KEY env var)
+  --network <name>        ${Object.keys(NETWORKS).join(', ')} (default: testnet)
+  --fee-rate <sats/vB>    fixed fee rate instead of the provider's fastest estimate
+  --dry-run               sign but don't broadcast, prints the raw transactions
+  --manifest <path>       json list of inscriptions, see below
+  --content-type <type>   content type for the files, guessed from the extension otherwise
+  --destination <address> where the files' inscriptions go (default: the ordinals address)
+  --postage <sats>        postage of the files' inscriptions, at least 330 for taproot destinations and 546
+                          for the rest (default: 546)
+  --esplora <url>         esplora api to use instead of the network's default
+  --ord <url>             ord server json api for parent lookups and cardinal utxos, instead of the network's
+                          default (only mainnet has one)
+  --bitcoind <url>        bitcoind json-rpc to use instead, regtest defaults to http://127.0.0.1:18443
+  --rpc-user <user>       bitcoind rpc user
+  --rpc-password <pass>   bitcoind rpc password
+  --backup-file <path>    jobs are backed up here before broadcasting, importable in the web app's
+                          recovery console (default: inscription-backups.json)
+  -h, --help
+
+Manifest entries take the Inscription fields, with the content given as a path or as text:
+  [{ "file": "cat.png", "metadata": { "name": "cat" }, "parent": "<id>i0" }, { "text": "gm", "destination": "bc1p..." }]
+`;
+
+const CONTENT_TYPES = {
+  '.txt': 'text/plain;charset=utf-8',
+  '.md': 'text/markdown;charset=utf-8',
+  '.html': 'text/html;charset=utf-8',
+  '.css': 'text/css',
+  '.js': 'text/javascript',
+  '.json': 'application/json',
+  '.pdf': 'application/pdf',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.avif': 'image/avif',
+  '.svg': 'image/svg+xml',
+  '.mp3': 'audio/mpeg',
+  '.wav': 'audio/wav',
+  '.mp4': 'video/mp4',
+  '.webm': 'video/webm',
+  '.glb': 'model/gltf-binary',
+};
+
+// outputs below these are dust and don't relay
+const TAPROOT_DUST_LIMIT = 330;
+const DUST_LIMIT = 546;
+
+function getContentType(path) {
+  const contentType = CONTENT_TYPES[extname(path).toLowerCase()];
+  if (!contentType) throw new Error(`Unknown content type for ${path}, pass --content-type or set contentType in the manifest`);
+  return contentType;
+}
+
+function getWallet(keyFile) {
+  const key = (keyFile ? readFileSync(keyFile, 'utf-8') : process.env.INSCRIBE_KEY ?? '').trim().replace(/\s+/g, ' ');
+  if (!key) throw new Error('No key given, pass --key-file or set INSCRIBE_KEY');
+  return key.includes(' ') ? new MnemonicWallet(key) : PrivateKeyWallet.fromWIF(key);
+}
+
+function getProvider(options, network) {
+  if (options.esplora) return new EsploraProvider(options.esplora);
+  // the network's regtest provider goes through the vite proxy, which isn't there outside the browser
+  if (options.bitcoind || network === 'regtest') {
+    return new BitcoinCoreProvider(
+      options.bitcoind ?? 'http://127.0.0.1:18443',
+      options['rpc-user'] ?? (network === 'regtest' ? 'regtest' : null),
+      options['rpc-password'] ?? (network === 'regtest' ? 'regtest' : null)
+    );
+  }
+  return NETWORKS[network].provider;
+}
+
+function getManifestInscriptions(manifestPath) {
+  const entries = JSON.parse(readFileSync(manifestPath, 'utf-8'));
+  if (!Array.isArray(entries)) throw new Error('Manifest must be a json array of inscriptions');
+  return entries.map(({ file, text, ...fields }) => {
+    if (file !== undefined && text !== undefined) throw new Error('Manifest entries take either file or text, not both');
+    if (file !== undefined) {
+      const path = resolve(dirname(manifestPath), file);
+      return new Inscription({ contentType: getContentType(path), ...fields, content: readFileSync(path) });
+    }
+    if (text !== undefined) {
+      return new Inscription({ contentType: 'text/plain;charset=utf-8', ...fields, content: Buffer.from(text, 'utf-8') });
+    }
+    return new Inscription(fields); // e.g. delegates, which have no content of their own
+  });
+}
+
+function parsePostage(postage) {
+  if (!/^\d+$/.test(postage) || Number(postage) < TAPROOT_DUST_LIMIT) {
+    throw new Error(`--postage must be a whole number of sats, at least ${TAPROOT_DUST_LIMIT}`);
+  }
+  return Number(postage);
+}
+
+function getFileInscriptions(paths, options, postage) {
+  return paths.map(path => new Inscription({
+    content: readFileSync(path),
+    contentType: options['content-type'] ?? getContentType(path),
+    destination: options.destination ?? null,
+    ...(postage !== null && { postage }),
+  }));
+}
+
+// inscriptions without a destination go to the ordinals address
+function checkPostageDust(inscriptions, ordinalsAddress, network) {
+  checkInscriptionDestinations(inscriptions, network);
+  for (const inscription of inscriptions) {
+    const destination = inscription.destination ?? ordinalsAddress;
+    const dustLimit = isP2TR(bitcoin.address.toOutputScript(destination, NETWORKS[network].bitcoinjs)) ? TAPROOT_DUST_LIMIT : DUST_LIMIT;
+    if (inscription.postage < dustLimit) {
+      throw new Error(`Postage of ${inscription.postage} sats is dust for ${destination}, it needs at least ${dustLimit}`);
+    }
+  }
+}
+
+// same record shape as the indexeddb store, kept in the web app's export format
+function createFileBackupStore(path) {
+  const readBackups = () => existsSync(path) ? parseBackups(readFileSync(path, 'utf-8')) : [];
+  const writeBackups = (backups) => writeFileSync(path, serializeBackups(backups));
+  return {
+    async saveBackup(backup) {
+      writeBackups([...readBackups().filter(existing => existing.id !== backup.id), backup]);
+      return backup;
+    },
+    async updateBackup(id, changes) {
+      const backups = readBackups();
+      const backup = backups.find(existing => existing.id === id);
+      if (!backup) throw new Error(`No backup found for ${id}`);
+      Object.assign(backup, changes);
+      writeBackups(backups);
+      return backup;
+    },
+  };
+}
+
+async function main() {
+  const { values: options, positionals: files } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'key-file': { type: 'string' },
+      'network': { type: 'string', default: 'testnet' },
+      'fee-rate': { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'manifest': { type: 'string' },
+      'content-type': { type: 'string' },
+      'destination': { type: 'string' },
+      'postage': { type: 'string' },
+      'esplora': { type: 'string' },
+      'ord': { type: 'string' },
+      'bitcoind': { type: 'string' },
+      'rpc-user': { type: 'string' },
+      'rpc-password': { type: 'string' },
+      'backup-file': { type: 'string', default: 'inscription-backups.json' },
+      'help': { type: 'boolean', short: 'h', default: false },
+    },
+  });
+  if (options.help) {
+    console.log(USAGE);
+    return;
+  }
+
+  const network = options.network;
+  if (!NETWORKS[network]) throw new Error(`Unknown network ${network}`);
+  const feeRate = options['fee-rate'] === undefined ? null : parseFloat(options['fee-rate']);
+  if (feeRate !== null && !(feeRate > 0)) throw new Error('--fee-rate must be a positive number');
+  const postage = options.postage === undefined ? null : parsePostage(options.postage);
+
+  const inscriptions = [
+    ...(options.manifest ? getManifestInscriptions(options.manifest) : []),
+    ...getFileInscriptions(files, options, postage),
+  ];
+  if (inscriptions.length === 0) throw new Error('Nothing to inscribe, pass files or --manifest');
+
+  const wallet = getWallet(options['key-file']);
+  await wallet.connect(network);
+  console.log(`Payment address:  ${wallet.paymentAddress}`);
+  console.log(`Ordinals address: ${wallet.ordinalsAddress}`);
+  checkPostageDust(inscriptions, wallet.ordinalsAddress, network);
+
+  const inscriber = new Inscriber({
+    wallet,
+    network,
+    provider: getProvider(options, network),
+    ...(options.ord && { ordApiUrl: options.ord }),
+    backupStore: createFileBackupStore(options['backup-file']),
+    feeRate,
+    dryRun: options['dry-run'],
+  });
+  console.log(`Inscribing ${inscriptions.length} inscription(s) on ${network} at ${await inscriber.getRecommendedFees()} sats/vB`);
+
+  // txids, or the raw transactions on a dry run
+  const [commitTx, revealTxs] = await inscriber.inscribe(inscriptions);
+  console.log(`Commit: ${commitTx}`);
+  revealTxs.forEach((revealTx, i) => console.log(`Reveal ${i}: ${revealTx}`));
+  console.log(options['dry-run'] ? 'Dry run, nothing was broadcast' : `Backed up to ${options['backup-file']}`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
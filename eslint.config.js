@@ -35,4 +35,10 @@ export default [
       ],
     },
   },
+  {
+    files: ['cli/**/*.js', 'scripts/**/*.js'],
+    languageOptions: {
+      globals: globals.node,
+    },
+  },
 ]
@@ -0,0 +1,119 @@
+#!/usr/bin/env node
+// drives every wallet adapter against its mock extension from src/mockExtensions.js: connect, a cancelled
+// connect, the capability probe, an inscription on a MockProvider chain, a signed message and an account
+// switch in the extension. exits non zero if any adapter fails, see `npm run check:mocks`
+import { Buffer } from 'buffer';
+
+import { NETWORKS } from '../src/networks.js';
+import { MockProvider } from '../src/providers.js';
+import {
+  UnisatWallet,
+  XverseWallet,
+  LeatherWallet,
+  OkxWallet,
+  MagicEdenWallet,
+  PhantomWallet,
+  OylWallet,
+  MnemonicWallet
+} from '../src/wallets.js';
+import { UserRejectedError } from '../src/errors.js';
+import { probeWalletCapabilities } from '../src/capabilities.js';
+import { verifyMessage } from '../src/bip322.js';
+import { Inscription } from '../src/inscriptions.js';
+import { Inscriber } from '../src/inscriber.js';
+import { installMockExtensions } from '../src/mockExtensions.js';
+
+const MNEMONIC = 'abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon abandon about';
+// longer than the adapters' account poll interval
+const EVENT_TIMEOUT = 10000;
+
+function assert(condition, message) {
+  if (!condition) throw new Error(message);
+}
+
+function nextEvent(wallet, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      unsubscribe();
+      reject(new Error(`No ${event} event`));
+    }, EVENT_TIMEOUT);
+    const unsubscribe = wallet.on(event, (...args) => {
+      clearTimeout(timer);
+      unsubscribe();
+      resolve(args);
+    });
+  });
+}
+
+async function checkAdapter(keyring, mock, createWallet, network) {
+  await keyring.switchNetwork(network);
+  const wallet = createWallet();
+
+  mock.rejectNext();
+  let rejection = null;
+  await wallet.connect(network).catch(error => rejection = error);
+  assert(rejection instanceof UserRejectedError, `cancelled connect threw ${rejection?.name ?? 'nothing'}`);
+
+  await wallet.connect(network);
+  assert(wallet.paymentAddress && wallet.ordinalsAddress, 'connect set no addresses');
+
+  const capabilities = await probeWalletCapabilities(wallet, { force: true });
+  assert(Object.values(capabilities).every(capability => typeof capability === 'boolean'), 'probe gave no answer');
+
+  const provider = new MockProvider(NETWORKS[network].bitcoinjs);
+  provider.addUtxo(wallet.paymentAddress, 100000);
+  const inscriber = new Inscriber({ wallet, network, provider, ordApiUrl: null, feeRate: 2 });
+  const [commitTxId, revealTxIds] = await inscriber.inscribe([
+    new Inscription({ content: Buffer.from('gm'), contentType: 'text/plain;charset=utf-8' })
+  ]);
+  const revealStatus = await provider.getTxStatus(revealTxIds[0]);
+  assert(revealStatus !== null, 'reveal never reached the chain');
+
+  for (const address of new Set([wallet.paymentAddress, wallet.ordinalsAddress])) {
+    const signature = await wallet.signMessage(address, `gm from ${wallet.walletType}`);
+    assert(verifyMessage(address, `gm from ${wallet.walletType}`, signature), `bad signature for ${address}`);
+  }
+
+  const otherKeyring = new MnemonicWallet(MNEMONIC, { account: 1 });
+  const accountChanged = nextEvent(wallet, 'accountChanged');
+  await mock.changeAccount(otherKeyring);
+  const [accountInfo] = await accountChanged;
+  assert(accountInfo.paymentAddress === wallet.paymentAddress, 'account info out of date');
+  assert(accountInfo.paymentAddress !== keyring.paymentAddress, 'account did not change');
+  wallet.removeAllListeners();
+  await mock.changeAccount(keyring);
+
+  return `${wallet.getInscriptionCreationMethod()}, commit ${commitTxId.slice(0, 8)}, ${JSON.stringify(capabilities)}`;
+}
+
+async function main() {
+  const keyring = new MnemonicWallet(MNEMONIC);
+  await keyring.connect('mainnet');
+  globalThis.window = {};
+  const mocks = installMockExtensions(keyring, globalThis.window);
+
+  const adapters = [
+    ['unisat', mocks.unisat, () => new UnisatWallet(), 'testnet'],
+    ['xverse', mocks.xverse, () => new XverseWallet(), 'testnet'],
+    ['leather', mocks.leather, () => new LeatherWallet(), 'testnet'],
+    ['okx', mocks.okx.bitcoinSignet, () => new OkxWallet(), 'signet'],
+    ['magiceden', mocks.magicEden, () => new MagicEdenWallet(), 'mainnet'],
+    ['phantom', mocks.phantom, () => new PhantomWallet(), 'mainnet'],
+    ['oyl', mocks.oyl, () => new OylWallet(), 'mainnet'],
+  ];
+  let failed = 0;
+  for (const [name, mock, createWallet, network] of adapters) {
+    try {
+      console.log(`ok   ${name}: ${await checkAdapter(keyring, mock, createWallet, network)}`);
+    } catch (error) {
+      failed++;
+      console.log(`FAIL ${name}: ${error?.message ?? JSON.stringify(error)}`);
+    }
+  }
+  if (failed > 0) throw new Error(`${failed} of ${adapters.length} adapters failed`);
+}
+
+main().catch(error => {
+  console.error(error.message);
+  process.exit(1);
+});
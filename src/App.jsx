@@ -1,274 +1,207 @@
 import { useState, useRef, useEffect } from 'react'
+import PropTypes from 'prop-types'
 import './App.css'
 
-import * as bitcoin from 'bitcoinjs-lib'
-import { isP2PKH, isP2SHScript, isP2WPKH, isP2TR } from 'bitcoinjs-lib/src/psbt/psbtutils'
 import { toXOnly } from 'bitcoinjs-lib/src/psbt/bip371'
-import { ECPairFactory } from 'ecpair'
-import * as tinyecc from 'tiny-secp256k1'
 
-import { UnisatWallet, XverseWallet, LeatherWallet, OkxWallet, MagicEdenWallet, PhantomWallet, OylWallet } from './wallets'
+import { createWallet, getInstalledWallets, onWalletsChanged, startWalletDiscovery } from './walletRegistry'
 import { NETWORKS } from './networks'
+import { Inscription } from './inscriptions'
+import { saveBackup, updateBackup, getAllBackups, exportBackups, importBackups } from './backups'
+import { Inscriber, generateKeyPair, getRevealTaproot, getRevealVSize, getRevealSweepTransaction } from './inscriber'
+import { probeWalletCapabilities } from './capabilities'
+import { UserRejectedError, WalletNotInstalledError, WrongNetworkError, UnsupportedOperationError } from './errors'
+import { persistSession, restoreSession, clearSession } from './session'
+import { FileWallet } from './wallets'
+import { getPsbtFileBytes, createPsbtUREncoder, getQRCodeDataUrl, PsbtURDecoder, parsePsbt } from './psbtTransfer'
 
-bitcoin.initEccLib(tinyecc);
-const ECPair = ECPairFactory(tinyecc);
-
-function wrapECPairWithBufferPublicKey(ecpair) {
-  return {
-    publicKey: Buffer.from(ecpair.publicKey),
-    compressed: ecpair.compressed,
-    network: ecpair.network,
-    lowR: ecpair.lowR,
-    privateKey: ecpair.privateKey ? Buffer.from(ecpair.privateKey) : undefined,
-    sign: ecpair.sign.bind(ecpair),
-    toWIF: ecpair.toWIF.bind(ecpair),
-    tweak: ecpair.tweak.bind(ecpair),
-    verify: ecpair.verify.bind(ecpair),
-    verifySchnorr: ecpair.verifySchnorr.bind(ecpair),
-    signSchnorr: ecpair.signSchnorr.bind(ecpair),
-  };
-}
-
-function generateKeyPair(bitcoinjsNetwork) {
-  const keypair = ECPair.makeRandom({ network: bitcoinjsNetwork });
-  return wrapECPairWithBufferPublicKey(keypair);
-}
+function App() {
+  const [network, setNetwork] = useState(import.meta.env.VITE_NETWORK ?? 'testnet');
+  const [wallet, setWallet] = useState(null);
+  const [isConnected, setIsConnected] = useState(false);
+  const [isModalOpen, setIsModalOpen] = useState(false);
+  const [backupPassphrase, setBackupPassphrase] = useState('');
+  const [recoveryItems, setRecoveryItems] = useState([]);
+  const [recoveryFeeRate, setRecoveryFeeRate] = useState('');
+  const [recoveryError, setRecoveryError] = useState(null);
+  const [recoveryStatus, setRecoveryStatus] = useState(null);
+  const [availableWallets, setAvailableWallets] = useState([]);
+  const [walletError, setWalletError] = useState(null);
+  const [account, setAccount] = useState(null);
+  const [pendingNetwork, setPendingNetwork] = useState(null);
+  const [signingRequest, setSigningRequest] = useState(null);
+  const [isFileWalletFormOpen, setIsFileWalletFormOpen] = useState(false);
+  const [fileWalletAccount, setFileWalletAccount] = useState({
+    paymentAddress: '', paymentPublicKey: '', ordinalsAddress: '', ordinalsPublicKey: '', masterFingerprint: ''
+  });
+  const [importText, setImportText] = useState('');
+  const [allowNoRefund, setAllowNoRefund] = useState(false);
+
+  // a cancelled prompt isn't worth a message, everything else says what the user can do about it
+  const showWalletError = (error) => {
+    console.log(error);
+    if (error instanceof UserRejectedError) {
+      setWalletError(null);
+    } else if (error instanceof WalletNotInstalledError) {
+      setWalletError(`${error.message}, install the extension and reload the page`);
+    } else if (error instanceof WrongNetworkError) {
+      setWalletError(`Switch your wallet to ${network} and try again`);
+    } else if (error instanceof UnsupportedOperationError) {
+      setWalletError(`Your wallet can't do that: ${error.message}`);
+    } else {
+      setWalletError(error?.message ?? String(error));
+    }
+  }
 
-const getDelegateBytes = (delegateId) => {
-  const [txHash, index] = delegateId.split("i");
-  const txHashBytes = Buffer.from(txHash, 'hex').reverse();
-  const indexBytes = intToLeBytes(parseInt(index));
-  return Buffer.concat([txHashBytes, indexBytes]);
-}
+  // wallet standard / sats-connect wallets can turn up at any point, keep the list current
+  useEffect(() => {
+    const refreshWallets = () => setAvailableWallets(getInstalledWallets(network));
+    const stopListening = onWalletsChanged(refreshWallets);
+    const stopDiscovery = startWalletDiscovery();
+    refreshWallets();
+    return () => {
+      stopListening();
+      stopDiscovery();
+    };
+  }, [network]);
+
+  const openWalletModal = () => {
+    setAvailableWallets(getInstalledWallets(network));
+    setIsModalOpen(true);
+  }
 
-const intToLeBytes = (value) => {
-  const bytes = [];
-  while (value > 0) {
-    bytes.push(value & 0xff); //push smallest byte
-    value >>= 8; //shift right 1 byte, look at next smallest byte
+  // takes over a connected wallet, from connectWallet or a restored session
+  const attachWallet = (walletInstance) => {
+    setWalletError(null);
+    setWallet(walletInstance);
+    setAccount(walletInstance.getAccountInfo());
+    setIsConnected(true);
+    setIsModalOpen(false);
+    walletInstance.on('accountChanged', setAccount);
+    // whether we switched it or the user did in the extension, the app follows the wallet's network
+    walletInstance.on('networkChanged', (walletNetwork) => {
+      setNetwork(walletNetwork);
+      setPendingNetwork(null);
+      setWalletError(null);
+    });
+    walletInstance.on('disconnected', () => {
+      setIsConnected(false);
+      setWallet(null);
+      setAccount(null);
+      setPendingNetwork(null);
+    });
+    // air-gapped signers: the inscription flow waits on these until the user imports them signed
+    walletInstance.on('signingRequestChanged', setSigningRequest);
+    persistSession(walletInstance);
   }
-  return Buffer.from(bytes);
-}
 
-class Inscription {
-  constructor({
-    content = null,
-    contentType = null,
-    contentEncoding = null,
-    metaprotocol = null,
-    //parent = null,
-    delegate = null,
-    pointer = null,
-    //metadata = null,
-    //rune = null,
-    postage = 546
-  }) {
-    this.content = content;
-    this.contentType = contentType;
-    this.contentEncoding = contentEncoding;
-    this.metaprotocol = metaprotocol;
-    //this.parent = parent;
-    this.delegate = delegate;
-    this.pointer = pointer;
-    //this.metadata = metadata;
-    //this.rune = rune;
-    this.postage = postage;
+  // pick up where the last page load left off, without prompting
+  useEffect(() => {
+    let cancelled = false;
+    restoreSession().then(restoredWallet => {
+      if (!restoredWallet || cancelled) return;
+      setNetwork(restoredWallet.network);
+      attachWallet(restoredWallet);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // fileAccount is what the user entered for an air-gapped signer, see FileWallet.setAccount
+  const connectWallet = async (walletId, fileAccount = null) => {
+    let walletInstance = createWallet(walletId);
+    if (fileAccount) walletInstance.setAccount(fileAccount);
+    try {
+      await walletInstance.connect(network);
+      await probeWalletCapabilities(walletInstance);
+    } catch (error) {
+      showWalletError(error);
+      return;
+    }
+    setIsFileWalletFormOpen(false);
+    attachWallet(walletInstance);
   }
 
-  getInscriptionScript() {
-    if (this.content !== null && this.content.length > 0 && !Buffer.isBuffer(this.content)) {
-      throw new Error("Content must be a Buffer");
-    }
-    const script = [bitcoin.opcodes.OP_0, bitcoin.opcodes.OP_IF, Buffer.from('ord', 'utf-8')];
-    if (this.contentType !== null) {
-      script.push(bitcoin.opcodes.OP_1, Buffer.from(this.contentType, 'utf-8'));
-    }
-    if (this.pointer !== null) {
-      script.push(bitcoin.opcodes.OP_2, intToLeBytes(this.pointer));
-    }
-    if (this.contentEncoding !== null) {
-      script.push(bitcoin.opcodes.OP_9, Buffer.from(this.contentEncoding, 'utf-8'));
-    }
-    if (this.metaprotocol !== null) {
-      script.push(bitcoin.opcodes.OP_7, Buffer.from(this.metaprotocol, 'utf-8'));
-    }
-    if (this.delegate !== null) {
-      script.push(bitcoin.opcodes.OP_11, getDelegateBytes(this.delegate));
-    }
-    if (this.metadata !== null) {
-      //script.push(bitcoin.opcodes.OP_5, Buffer.from(this.metadata));
-    }
-    if (this.content !== null && this.content.length > 0) {
-      script.push(bitcoin.opcodes.OP_0);
-      const contentChunks = [];
-      for (let i = 0; i < this.content.length; i += 520) {
-        contentChunks.push(this.content.subarray(i, i + 520));
-      }
-      script.push(...contentChunks);
-    }
-    script.push(bitcoin.opcodes.OP_ENDIF);
-    return script;
+  const disconnectWallet = async () => {
+    wallet.cancelSigning?.();
+    wallet.removeAllListeners();
+    clearSession();
+    setWallet(null);
+    setAccount(null);
+    setIsConnected(false);
+    setPendingNetwork(null);
+    setSigningRequest(null);
   }
-}
 
-function getRevealScript(inscriptions, revealPublicKey) {
-  let script = [revealPublicKey, bitcoin.opcodes.OP_CHECKSIG];
-  let running_postage = 0;
-  for (let i = 0; i < inscriptions.length; i++) {
-    let inscription = inscriptions[i];
-    if (i>0) {
-      inscription.pointer = running_postage;
+  // signed psbts from a file, pasted text or a scanned qr code, FileWallet matches them to the request
+  const importSignedPsbt = (data) => {
+    try {
+      wallet.importSignedPsbt(data instanceof Uint8Array || typeof data === 'string' ? parsePsbt(data) : data);
+      setWalletError(null);
+      setImportText('');
+    } catch (error) {
+      showWalletError(error);
     }
-    const inscriptionScript = inscription.getInscriptionScript();
-    script.push(...inscriptionScript);
-    running_postage += inscription.postage;
   }
-  const compiledScript = bitcoin.script.compile(script);
-  return compiledScript;
-}
 
-function getRevealTaproot(inscriptions, scriptPathPublicKey, network, keyPathInternalKey=scriptPathPublicKey) {
-  const script = getRevealScript(inscriptions, scriptPathPublicKey);
-  const tapLeaf = {
-    leafVersion: 192, // Tapscript leaf version (0xc0)
-    output: script, // Serialized Tapscript
+  const importSignedPsbtFile = async (event) => {
+    const file = event.target.files[0];
+    event.target.value = '';
+    if (!file) return;
+    importSignedPsbt(new Uint8Array(await file.arrayBuffer()));
   }
-  const revealTaproot = bitcoin.payments.p2tr({
-    internalPubkey: keyPathInternalKey,
-    scriptTree: tapLeaf,
-    redeem: tapLeaf,
-    network: NETWORKS[network].bitcoinjs
-  });
-  return revealTaproot;
-}
 
-const getRevealTransaction = (inscriptions, inscriptionReceiveAddress, revealTaproot, revealKeyPair, commitTxId, revealFee, network, sign=true) => {
-  const psbt = new bitcoin.Psbt({ network: NETWORKS[network].bitcoinjs })
-    .addInput({
-      hash: commitTxId,
-      index: 0,
-      witnessUtxo: {
-        script: revealTaproot.output,
-        value: revealFee,
-      },
-      tapLeafScript: [{
-        leafVersion: 192, // Tapscript leaf version (0xc0)
-        script: revealTaproot.redeem.output, // Serialized Tapscript
-        controlBlock: revealTaproot.witness[revealTaproot.witness.length - 1], // Control block for script path
-      }],
-    })
-    .addOutputs(inscriptions.map((inscription) => ({
-      address: inscriptionReceiveAddress,
-      value: inscription.postage,
-    })));
-  
-  if (sign) {
-    psbt.signInput(0, revealKeyPair);
-    psbt.finalizeAllInputs();
+  const downloadPsbt = (psbtBase64, index) => {
+    const url = URL.createObjectURL(new Blob([getPsbtFileBytes(psbtBase64)], { type: 'application/octet-stream' }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `unsigned-${index}.psbt`;
+    link.click();
+    URL.revokeObjectURL(url);
   }
-  return psbt;
-}
 
-const getRevealVSize = (inscriptions, inscriptionReceiveAddress, network) => {
-  let dummyKeyPair = generateKeyPair(NETWORKS[network].bitcoinjs);    
-  let revealTaproot = getRevealTaproot(inscriptions, toXOnly(dummyKeyPair.publicKey), network);
-  let total_postage = inscriptions.reduce((acc, inscription) => acc + inscription.postage, 0);
-  let dummyRevealTransaction = getRevealTransaction(inscriptions, inscriptionReceiveAddress, revealTaproot, dummyKeyPair, "0".repeat(64), total_postage, network, true);
-  let estRevealVSize = dummyRevealTransaction.extractTransaction().virtualSize();
-  return estRevealVSize;
-}
-
-// need to backup: revealTaproot, revealKeyPair, commitTxId, revealFee if wallet can key-path sign
-// need to backup entire signed tx for ephemeral key signing
-function getRevealSweepTransaction(receiveAddress, revealTaproot, revealKeyPair, commitTxId, revealFee, feeRate, network, sign = true) {
-  let headerSize = 10.5; //wcs for tx header
-  let inputSize = 40 + 1 + 66/4; //40 for header, 1 for witness, 66/4 for taproot input
-  let outputSize = 43; //43 is wcs for taproot output
-  let vSize = headerSize + inputSize + outputSize;
-
-  const psbt = new bitcoin.Psbt({ network: NETWORKS[network].bitcoinjs })
-    .addInput({
-      hash: commitTxId,
-      index: 0,
-      witnessUtxo: {
-        script: revealTaproot.output,
-        value: revealFee,
-      },
-      tapInternalKey: toXOnly(revealKeyPair.publicKey),
-      tapMerkleRoot: revealTaproot.hash,
-    })
-    .addOutput({
-      address: receiveAddress,
-      value: revealFee - feeRate * vSize,
-    });
-  
-  if (sign) {
-    const tweakedSigner = revealKeyPair.tweak(
-      bitcoin.crypto.taggedHash(
-        'TapTweak',
-        Buffer.concat([toXOnly(revealKeyPair.publicKey), revealTaproot.hash]),
-      ),
-    );
-    psbt.signInput(0, wrapECPairWithBufferPublicKey(tweakedSigner));
-    psbt.finalizeAllInputs();
+  // wallets that can't switch network for us leave it to the user, checkNetworkSwitch then confirms it from the
+  // addresses. everything else, chain providers included, follows the network state
+  const changeNetwork = async (newNetwork) => {
+    setPendingNetwork(null);
+    if (!wallet) {
+      setNetwork(newNetwork);
+      return;
+    }
+    try {
+      await wallet.switchNetwork(newNetwork);
+    } catch (error) {
+      if (error instanceof UnsupportedOperationError) {
+        setPendingNetwork(newNetwork);
+        setWalletError(`Switch ${wallet.constructor.displayName} to ${newNetwork} in the wallet, then check again`);
+      } else {
+        showWalletError(error);
+      }
+      return;
+    }
+    setNetwork(wallet.network);
   }
 
-  return psbt;
-}
-
-function App() {
-  const [network, setNetwork] = useState('testnet');
-  const [wallet, setWallet] = useState(null);
-  const [isConnected, setIsConnected] = useState(false);
-  const [isModalOpen, setIsModalOpen] = useState(false);
-
-  const connectWallet = async (walletType) => {
-    let accounts = null;
-    let walletInstance = null;
-    switch (walletType) {
-      case 'unisat':    
-        walletInstance = new UnisatWallet();
-        break;
-      case 'xverse':
-        walletInstance = new XverseWallet();
-        break;
-      case 'leather':
-        walletInstance = new LeatherWallet();
-        break;
-      case 'okx':
-        walletInstance = new OkxWallet();
-        break;
-      case 'magiceden':
-        walletInstance = new MagicEdenWallet();
-        break;
-      case 'phantom':
-        walletInstance = new PhantomWallet();
-        break;
-      case 'oyl':
-        walletInstance = new OylWallet();
-        break;
-      default:
-        throw new Error('Unsupported wallet type');
+  const checkNetworkSwitch = async () => {
+    try {
+      if (!(await wallet.confirmNetworkSwitch(pendingNetwork))) {
+        setWalletError(`${wallet.constructor.displayName} is not on ${pendingNetwork} yet, switch it in the wallet and check again`);
+      }
+    } catch (error) {
+      showWalletError(error);
     }
-    accounts = await walletInstance.connect(network);
-    setWallet(walletInstance);
-    setIsConnected(true);
-    setIsModalOpen(false);
-    walletInstance.setupAccountChangeListener((accounts) => {
-      console.log(accounts);
-      if (accounts?.disconnected === true) {
-        setIsConnected(false);
-        setWallet(null);
-      } else {
-        setWallet(walletInstance);
-      }      
-    });
   }
 
-  const disconnectWallet = async () => {
-    await wallet.removeAccountChangeListener();
-    setWallet(null);
-    setIsConnected(false);
+  const getInscriber = () => {
+    return new Inscriber({
+      wallet,
+      network,
+      backupStore: { saveBackup, updateBackup },
+      backupPassphrase,
+      allowNoRefund,
+      logger: console,
+    });
   }
 
   const createInscriptions = async () => {
@@ -300,230 +233,103 @@ function App() {
     //   })
     // );
     
-    let creationMethod = wallet.getInscriptionCreationMethod();
-    if (creationMethod === 'ephemeral') {
-      //using ephemeral key
-      console.log("Using ephemeral key for script and key path");
-      createInscriptionsWithEphemeralKey(inscriptions, false);
-    }
-    if (creationMethod === 'ephemeral_with_wallet_key_path') {
-      //using ephemeral key for script path, wallet for key path
-      console.log("Using ephemeral key for script path, wallet for key path");
-      createInscriptionsWithEphemeralKey(inscriptions, true);
-    }
-    if (creationMethod === 'wallet_one_sign') {
-      //using wallet internal key
-      console.log("Using internal key");
-      createInscriptionsWithTweakedKey(inscriptions);
-    }
-    if (creationMethod === 'wallet_two_sign') {
-      //using wallet internal key with two txs
-      console.log("Using internal key with two txs");
-      createInscriptionsWithTweakedKeyTwoSign(inscriptions);
+    try {
+      let [pushedCommitTx, pushedRevealTxs] = await getInscriber().inscribe(inscriptions);
+      console.log(pushedCommitTx, pushedRevealTxs);
+    } catch (error) {
+      showWalletError(error);
     }
   }
 
-  const createInscriptionsWithTweakedKey = async (inscriptions) => {
-    // 1. get inscription tapscript
-    let walletTaproot = wallet.getTaproot(wallet, network);
-    let revealKeyPair = {
-      publicKey: walletTaproot.internalPubkey,
+  // regtest only, the block reward goes to the payment address so a fresh chain can fund the flows
+  const mineBlocks = async (count) => {
+    try {
+      let blockHashes = await getInscriber().mineBlocks(count);
+      console.log(blockHashes);
+    } catch (error) {
+      showWalletError(error);
     }
-    let revealTaproot = getRevealTaproot(inscriptions, revealKeyPair.publicKey, network);
-
-    // 2. get estimated reveal vsize to work out how much commit tx should send to the reveal address
-    let estRevealVSize = getRevealVSize(inscriptions, wallet.ordinalsAddress, network);
-
-    // 3. get commit transaction
-    let [ commitPsbt, estimatedRevealFee ]= await getCommitTransaction(inscriptions, wallet.paymentAddress, wallet.paymentPublicKey, revealTaproot.address, estRevealVSize);
-    let tempCommitTx = commitPsbt.__CACHE.__TX;
-    let toSignCommitInputs = commitPsbt.data.inputs.map((input, index) => {
-      return {
-        index,
-        address: wallet.paymentAddress
-      }
-    });
-
-    // 4. get reveal transaction
-    let unsignedRevealPsbt = getRevealTransaction(inscriptions, wallet.ordinalsAddress, revealTaproot, revealKeyPair, tempCommitTx.getId(), estimatedRevealFee, network, false);
-    
-    // 5. sign both transactions
-    let [signedCommitPsbt, signedRevealPsbt] = await wallet.signPsbts(
-      [commitPsbt, unsignedRevealPsbt],
-      [
-        toSignCommitInputs,
-        [{ index: 0, address: walletTaproot.address, useTweakSigner: false, useTweakedSigner: false }]
-      ]
-    );
-
-    // 6. broadcast transactions
-    let commitTx = signedCommitPsbt.extractTransaction();
-    let revealTx = signedRevealPsbt.extractTransaction();
-    let pushedCommitTx = await broadcastTx(commitTx.toHex());
-    let pushedRevealTx = await broadcastTx(revealTx.toHex());
-    console.log(pushedCommitTx, pushedRevealTx);
   }
 
-  const createInscriptionsWithTweakedKeyTwoSign = async (inscriptions) => {
-    // 1. get inscription tapscript
-    let walletTaproot = wallet.getTaproot(wallet, network);
-    let revealKeyPair = {
-      publicKey: walletTaproot.internalPubkey,
+  // recovery works without a connected wallet too, so its errors show in the recovery console. a cancelled
+  // prompt isn't worth a message
+  const runRecoveryAction = async (action) => {
+    setRecoveryError(null);
+    setRecoveryStatus(null);
+    try {
+      await action();
+    } catch (error) {
+      console.log(error);
+      if (!(error instanceof UserRejectedError)) setRecoveryError(error?.message ?? String(error));
     }
-    let revealTaproot = getRevealTaproot(inscriptions, revealKeyPair.publicKey, network);
-
-    // 2. get estimated reveal vsize to work out how much commit tx should send to the reveal address
-    let estRevealVSize = getRevealVSize(inscriptions, wallet.ordinalsAddress, network);
-    
-    // 3. get & sign commit transaction
-    let [commitPsbt, estimatedRevealFee ]= await getCommitTransaction(inscriptions, wallet.paymentAddress, wallet.paymentPublicKey, revealTaproot.address, estRevealVSize);
-    let toSignCommitInputs = commitPsbt.data.inputs.map((input, index) => {
-      return {
-        index,
-        address: wallet.paymentAddress
-      }
-    });
-    let signedCommitPsbt = await wallet.signPsbt(commitPsbt, toSignCommitInputs);
-    let commitTx = signedCommitPsbt.extractTransaction();
-
-    // 4. get and sign reveal transaction
-    let unsignedRevealPsbt = getRevealTransaction(inscriptions, wallet.ordinalsAddress, revealTaproot, revealKeyPair, commitTx.getId(), estimatedRevealFee, network, false);
-    let signedRevealPsbt = await wallet.signPsbt(unsignedRevealPsbt, [{ index: 0, address: walletTaproot.address, useTweakSigner: false, useTweakedSigner: false }]);
-    let revealTx = signedRevealPsbt.extractTransaction();
-
-    //5. broadcast transactions
-    let pushedCommitTx = await broadcastTx(commitTx.toHex());
-    let pushedRevealTx = await broadcastTx(revealTx.toHex());
-    console.log(pushedCommitTx, pushedRevealTx);
   }
 
-  const createInscriptionsWithEphemeralKey = async (inscriptions, useWalletForKeyPath=false) => {
-    // 1. get inscription tapscript
-    let ephemeralKeyPair = generateKeyPair(NETWORKS[network].bitcoinjs);
+  const exportBackupFile = () => runRecoveryAction(async () => {
+    let json = await exportBackups();
+    let url = URL.createObjectURL(new Blob([json], { type: 'application/json' }));
+    let link = document.createElement('a');
+    link.href = url;
+    link.download = `inscription-backups-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+    setRecoveryStatus('Exported backups');
+  });
 
-    let scriptPathPublicKey = toXOnly(ephemeralKeyPair.publicKey);
-    let keyPathInternalKey = scriptPathPublicKey;
-    if (useWalletForKeyPath) {
-      keyPathInternalKey = wallet.getTaproot(wallet, network).internalPubkey;
+  // the input is cleared either way so picking the same file again still fires
+  const importBackupFile = async (event) => {
+    let file = event.target.files[0];
+    if (!file) return;
+    try {
+      await runRecoveryAction(async () => {
+        let importedCount = await importBackups(await file.text());
+        setRecoveryStatus(`Imported ${importedCount} backups`);
+      });
+    } finally {
+      event.target.value = '';
     }
-    let revealTaproot = getRevealTaproot(inscriptions, scriptPathPublicKey, network, keyPathInternalKey);
-
-    // 2. get estimated reveal vsize to work out how much commit tx should send to the reveal address
-    let estRevealVSize = getRevealVSize(inscriptions, wallet.ordinalsAddress, network);
+  }
 
-    // 3. get & sign commit transaction
-    let [commitPsbt, estimatedRevealFee ]= await getCommitTransaction(inscriptions, wallet.paymentAddress, wallet.paymentPublicKey, revealTaproot.address, estRevealVSize);
-    let signedCommitPsbt = await wallet.signPsbt(commitPsbt); 
-    let commitTx = signedCommitPsbt.extractTransaction();
-    let commitTxId = commitTx.getId();
+  // a reveal is stuck until a confirmed tx spends its commit output, whether that's the reveal, a sweep or a refund
+  const loadStuckReveals = async () => {
+    setRecoveryItems(await getInscriber().findStuckReveals(await getAllBackups()));
+  }
 
-    //4. get signed reveal transaction
-    let signedRevealPsbt = getRevealTransaction(inscriptions, wallet.ordinalsAddress, revealTaproot, ephemeralKeyPair, commitTxId, estimatedRevealFee, network, true);
-    let revealTx = signedRevealPsbt.extractTransaction();
+  const findStuckReveals = () => runRecoveryAction(loadStuckReveals);
 
-    //5. broadcast transactions
-    let pushedCommitTx = await broadcastTx(commitTx.toHex());
-    let pushedRevealTx = await broadcastTx(revealTx.toHex());
-    console.log(pushedCommitTx, pushedRevealTx);
+  const getRecoveryFeeRate = async () => {
+    if (recoveryFeeRate === '') return getInscriber().getRecommendedFees();
+    let feeRate = parseInt(recoveryFeeRate);
+    if (!(feeRate > 0)) throw new Error('Fee rate must be a whole number of sats/vB');
+    return feeRate;
   }
 
-  const getCommitTransaction = async(inscriptions, paymentAddress, paymentPublicKey, revealAddress, revealVSize) => {
-    const paymentAddressScript = bitcoin.address.toOutputScript(paymentAddress, NETWORKS[network].bitcoinjs);
-    const paymentAddressType = getAddressType(paymentAddressScript, paymentPublicKey);
-    console.log(paymentAddressType);
-
-    let feeRate = await getRecommendedFees();
-    let estimatedCommitFeeForHeaderAndOutputs = (10.5 + 2 * 43) * feeRate; //tx header 10.5 vBytes, 2 taproot outputs 43 vBytes each - input vB handled in selection
-    let total_postage = inscriptions.reduce((acc, inscription) => acc + inscription.postage, 0);
-    let estimatedRevealFee = Math.ceil(revealVSize * feeRate + total_postage);
-
-    let utxos = await getConfirmedCardinalUtxos(paymentAddress);
-    let adjustedUtxos = appendUtxoEffectiveValues(utxos, paymentAddressType, feeRate); //adjust utxos values to account for fee for size of input
-    let selectedUtxos = selectUtxos(adjustedUtxos, estimatedRevealFee + estimatedCommitFeeForHeaderAndOutputs);
-    console.log(selectedUtxos);
-
-    let estimatedCommitFeeForInputs = selectedUtxos.reduce((acc, utxo) => acc + utxo.value - utxo.effectiveValue, 0);
-    let estimatedCommitFee = Math.ceil(estimatedCommitFeeForHeaderAndOutputs + estimatedCommitFeeForInputs);
-    console.log("Estimated commit fee: ", estimatedCommitFee, ". estimated commit vsize:", estimatedCommitFee / feeRate);
-    console.log("Estimated commit input vsize: ", estimatedCommitFeeForInputs / feeRate, ". estimated commit output + header vsize:", estimatedCommitFeeForHeaderAndOutputs / feeRate);
-    console.log("Estimated reveal fee: ", estimatedRevealFee);
-    let estimatedInscriptionFee = estimatedCommitFee + estimatedRevealFee;
-
-    const psbt = new bitcoin.Psbt({ network: NETWORKS[network].bitcoinjs });
-    
-    // 1. inputs
-    for (let i = 0; i < selectedUtxos.length; i++) {
-      const utxo = selectedUtxos[i];
-
-      switch (paymentAddressType) {
-        case 'P2TR':
-          psbt.addInput({
-            hash: utxo.txid,
-            index: utxo.vout,
-            witnessUtxo: {
-              script: paymentAddressScript,
-              value: utxo.value
-            },
-            tapInternalKey: toXOnly(Buffer.from(paymentPublicKey, 'hex')),
-          });
-          break;
-        case 'P2WPKH':
-          psbt.addInput({
-            hash: utxo.txid,
-            index: utxo.vout,
-            witnessUtxo: {
-              script: paymentAddressScript,
-              value: utxo.value
-            }
-          });
-          break;
-        case 'P2SH-P2WPKH':
-          const p2wpkh = bitcoin.payments.p2wpkh({
-            pubkey: Buffer.from(paymentPublicKey, 'hex'),
-            network: NETWORKS[network].bitcoinjs
-          });
-          psbt.addInput({
-            hash: utxo.txid,
-            index: utxo.vout,
-            witnessUtxo: {
-              script: paymentAddressScript,
-              value: utxo.value
-            },
-            redeemScript: p2wpkh.output,
-          });
-          break;
-        case 'P2PKH':
-          const prevTx = await getTxData(utxo.txid);
-          psbt.addInput({
-            hash: utxo.txid,
-            index: utxo.vout,
-            nonWitnessUtxo: Buffer.from(prevTx, 'hex'),
-          });
-          break;
-        default:
-          throw new Error("Unsupported address type");
-      }
-    }
+  const rebroadcastReveal = (item) => runRecoveryAction(async () => {
+    console.log(await getInscriber().rebroadcastReveal(item));
+    await loadStuckReveals();
+  });
 
-    //2. outputs
-    psbt.addOutput({
-      address: revealAddress,
-      value: estimatedRevealFee
-    });
+  const rebuildReveal = (item) => runRecoveryAction(async () => {
+    console.log(await getInscriber().rebuildReveal(item, await getRecoveryFeeRate()));
+    await loadStuckReveals();
+  });
 
-    let change = selectedUtxos.reduce((acc, utxo) => acc + utxo.value, 0) - estimatedInscriptionFee;
-    if (change >= 546) {
-      psbt.addOutput({
-        address: paymentAddress,
-        value: change
-      });
-    }
+  const speedUpCommit = (item) => runRecoveryAction(async () => {
+    console.log(await getInscriber().speedUpCommit(item, await getRecoveryFeeRate()));
+    await loadStuckReveals();
+  });
 
-    return [psbt, estimatedRevealFee];
+  const sweepCommitOutput = (item) => runRecoveryAction(async () => {
+    console.log(await getInscriber().sweepCommitOutput(item, await getRecoveryFeeRate()));
+    await loadStuckReveals();
+  });
 
-  }
+  const refundCommitOutput = (item) => runRecoveryAction(async () => {
+    console.log(await getInscriber().refundCommitOutput(item, await getRecoveryFeeRate()));
+    await loadStuckReveals();
+  });
 
   const createTestInscriptions = async () => {
+    let inscriber = getInscriber();
     let inscriptions = [
       new Inscription({
         content: Buffer.from("Chancellor on the brink of second bailout for banks"),
@@ -539,24 +345,25 @@ function App() {
     let estRevealVSize = getRevealVSize(inscriptions, wallet.ordinalsAddress, network);
 
     // 3. get & sign commit transaction
-    let [commitPsbt, estimatedRevealFee ]= await getCommitTransaction(inscriptions, wallet.paymentAddress, wallet.paymentPublicKey, revealTaproot.address, estRevealVSize);
-    let signedCommitPsbt = await wallet.signPsbt(commitPsbt); 
+    let [commitPsbt, [estimatedRevealFee] ]= await inscriber.getCommitTransaction([{ inscriptions, revealTaproot, revealVSize: estRevealVSize }], wallet.paymentAddress, wallet.paymentPublicKey);
+    let signedCommitPsbt = await inscriber.signPsbtWithWallet(commitPsbt); 
     let commitTx = signedCommitPsbt.extractTransaction();
     let commitTxId = commitTx.getId();
 
     //4. get reveal sweep transaction
-    let feeRate = await getRecommendedFees();
+    let feeRate = await inscriber.getRecommendedFees();
     let sweepPsbt = getRevealSweepTransaction(wallet.paymentAddress, revealTaproot, ephemeralKeyPair, commitTxId, estimatedRevealFee, feeRate, network, true);
     let revealTx = sweepPsbt.extractTransaction();
 
     //5. broadcast transactions
-    let pushedCommitTx = await broadcastTx(commitTx.toHex());
-    let pushedRevealTx = await broadcastTx(revealTx.toHex());
+    let pushedCommitTx = await inscriber.broadcastTx(commitTx.toHex());
+    let pushedRevealTx = await inscriber.broadcastTx(revealTx.toHex());
     console.log(pushedCommitTx, pushedRevealTx);
   
   }
 
   const createTestInscriptions2 = async () => {
+    let inscriber = getInscriber();
     let inscriptions = [
       new Inscription({
         content: Buffer.from("Chancellor on the brink of second bailout for banks"),
@@ -575,15 +382,15 @@ function App() {
     let estRevealVSize = getRevealVSize(inscriptions, wallet.ordinalsAddress, network);
 
     // 3. get & sign commit transaction
-    let [commitPsbt, estimatedRevealFee ]= await getCommitTransaction(inscriptions, wallet.paymentAddress, wallet.paymentPublicKey, revealTaproot.address, estRevealVSize);
-    let signedCommitPsbt = await wallet.signPsbt(commitPsbt, [{ index: 0, address: wallet.paymentAddress }]); 
+    let [commitPsbt, [estimatedRevealFee] ]= await inscriber.getCommitTransaction([{ inscriptions, revealTaproot, revealVSize: estRevealVSize }], wallet.paymentAddress, wallet.paymentPublicKey);
+    let signedCommitPsbt = await inscriber.signPsbtWithWallet(commitPsbt, [{ index: 0, address: wallet.paymentAddress }]); 
     let commitTx = signedCommitPsbt.extractTransaction();
     let commitTxId = commitTx.getId();
 
     //4. get reveal sweep transaction
-    let feeRate = await getRecommendedFees();
+    let feeRate = await inscriber.getRecommendedFees();
     let sweepPsbt = getRevealSweepTransaction(wallet.paymentAddress, revealTaproot, revealKeyPair, commitTxId, estimatedRevealFee, feeRate, network, false);
-    let signedSweepPsbt = await wallet.signPsbt(sweepPsbt, [
+    let signedSweepPsbt = await inscriber.signPsbtWithWallet(sweepPsbt, [
       { index: 0, 
         address: wallet.ordinalsAddress,
         publicKey: wallet.ordinalsPublicKey,
@@ -601,13 +408,14 @@ function App() {
     let revealTx = signedSweepPsbt.extractTransaction();
 
     //5. broadcast transactions
-    let pushedCommitTx = await broadcastTx(commitTx.toHex());
-    let pushedRevealTx = await broadcastTx(revealTx.toHex());
+    let pushedCommitTx = await inscriber.broadcastTx(commitTx.toHex());
+    let pushedRevealTx = await inscriber.broadcastTx(revealTx.toHex());
     console.log(pushedCommitTx, pushedRevealTx);
   
   }
 
   const createTestInscriptions3 = async () => {
+    let inscriber = getInscriber();
     let inscriptions = [
       new Inscription({
         content: Buffer.from("Chancellor on the brink of second bailout for banks"),
@@ -627,15 +435,15 @@ function App() {
     let estRevealVSize = getRevealVSize(inscriptions, wallet.ordinalsAddress, network);
 
     // 3. get & sign commit transaction
-    let [commitPsbt, estimatedRevealFee ]= await getCommitTransaction(inscriptions, wallet.paymentAddress, wallet.paymentPublicKey, revealTaproot.address, estRevealVSize);
-    let signedCommitPsbt = await wallet.signPsbt(commitPsbt); 
+    let [commitPsbt, [estimatedRevealFee] ]= await inscriber.getCommitTransaction([{ inscriptions, revealTaproot, revealVSize: estRevealVSize }], wallet.paymentAddress, wallet.paymentPublicKey);
+    let signedCommitPsbt = await inscriber.signPsbtWithWallet(commitPsbt); 
     let commitTx = signedCommitPsbt.extractTransaction();
     let commitTxId = commitTx.getId();
 
     //4. get reveal sweep transaction
-    let feeRate = await getRecommendedFees();
+    let feeRate = await inscriber.getRecommendedFees();
     let sweepPsbt = getRevealSweepTransaction(wallet.paymentAddress, revealTaproot, walletInternalKeyPair, commitTxId, estimatedRevealFee, feeRate, network, false);
-    let signedSweepPsbt = await wallet.signPsbt(sweepPsbt, [
+    let signedSweepPsbt = await inscriber.signPsbtWithWallet(sweepPsbt, [
       { index: 0, 
         address: wallet.ordinalsAddress,
       }
@@ -643,32 +451,12 @@ function App() {
     let revealTx = signedSweepPsbt.extractTransaction();
 
     //5. broadcast transactions
-    let pushedCommitTx = await broadcastTx(commitTx.toHex());
-    let pushedRevealTx = await broadcastTx(revealTx.toHex());
+    let pushedCommitTx = await inscriber.broadcastTx(commitTx.toHex());
+    let pushedRevealTx = await inscriber.broadcastTx(revealTx.toHex());
     console.log(pushedCommitTx, pushedRevealTx);
   
   }
 
-  async function broadcastTx(txHex) {
-    const url = `https://mempool.space/${NETWORKS[network].mempool}api/tx`;
-  
-    const response = await fetch(url, {
-      method: 'POST',
-      headers: {
-        'Content-Type': 'text/plain',
-      },
-      body: txHex,
-    });
-  
-    if (!response.ok) {
-      console.log(response);
-      throw new Error(`Failed to broadcast transaction: ${response.statusText}`);
-    }
-  
-    const data = await response.text();
-    return data;
-  }
-
   async function submitPackage(commitHex, revealHex) {
     const url = `https://blue.vermilion.place/api/submit_package`;
 
@@ -691,209 +479,145 @@ function App() {
     return data;
   }
 
-  const getRecommendedFees = async() => {
-    let fees = await fetch(`https://mempool.space/${NETWORKS[network].mempool}api/v1/fees/recommended`);
-    let feesJson = await fees.json();
-    let fastestFee = feesJson.fastestFee;
-    return fastestFee;
-  }
-
-  const getConfirmedCardinalUtxos = async(address) => {
-    let utxos = await fetch(`https://mempool.space/${NETWORKS[network].mempool}api/address/${address}/utxo`);
-    let utxosJson = await utxos.json();
-    let confirmedUtxos = utxosJson.filter(utxo => utxo.status.confirmed == true);
-    confirmedUtxos = confirmedUtxos.filter(utxo => utxo.value > 1000);
-    if (network === 'testnet') {// allow unconfirmed utxos on testnet
-      confirmedUtxos = utxosJson.filter(utxo => utxo.value > 1000);
-    }
-
-    let confirmedCardinalUtxos = [];
-    if (network === 'mainnet') {
-      let cardinalUtxos = await fetch(`https://blue.vermilion.place/ord_api/outputs/${address}?type=cardinal`, {
-        headers: {
-          'Accept': 'application/json',
-        }
-      });
-      let cardinalUtxosJson = await cardinalUtxos.json();
-      // filter confirmed utxos that are not in the cardinal list
-      confirmedCardinalUtxos = confirmedUtxos.filter(utxo => 
-        cardinalUtxosJson.some(cardinalUtxo => cardinalUtxo.outpoint === `${utxo.txid}:${utxo.vout}`)
-      )
-    } else {//testnet
-      confirmedCardinalUtxos = confirmedUtxos; 
-    }
-
-    return confirmedCardinalUtxos;
-  }
-
-  const getTxData = async(txId) => {
-    let txData = await fetch(`https://mempool.space/${NETWORKS[network].mempool}api/tx/${txId}/hex`);
-    let txDataJson = await txData.json();
-    return txDataJson;
-  }
-
-  const appendUtxoEffectiveValues = (utxos, addressType, feeRate) => {
-    //https://bitcoin.stackexchange.com/questions/84004/how-do-virtual-size-stripped-size-and-raw-size-compare-between-legacy-address-f/84006#84006
-    if (addressType === 'P2TR') {
-      utxos.map(utxo => {
-        utxo.effectiveValue = utxo.value - feeRate * (40 + 1 + 66/4);
-      });
-    }
-    if (addressType === 'P2WPKH') {
-      utxos.map(utxo => {
-        utxo.effectiveValue = utxo.value - feeRate * (40 + 1 + 108/4);
-      });
-    }
-    if (addressType === 'P2SH-P2WPKH') {
-      utxos.map(utxo => {
-        utxo.effectiveValue = utxo.value - feeRate * (40 + 24 + 108/4);
-      });
-    }
-    if (addressType === 'P2PKH') {
-      utxos.map(utxo => {
-        utxo.effectiveValue = utxo.value - feeRate * (40 + 108);
-      });
-    }
-    return utxos;
-  }
-
-  const selectUtxos = (utxos, targetAmount) => {
-    utxos.sort((a, b) => a.effectiveValue - b.effectiveValue);
-    
-    // 1. Exact match
-    for (let i = 0; i < utxos.length; i++) {
-      if (utxos[i].effectiveValue === targetAmount) {
-        return [utxos[i]];
-      }
-    }
-    
-    // 2. Branch and Bound
-    let selectedUtxos = branchAndBound(utxos, targetAmount);
-    if (selectedUtxos) {
-      return selectedUtxos;
-    }
-
-    // 3. Accumulator Fallback
-    let selected = [];
-    let totalInput = 0;
-    for (let i = 0; i < utxos.length; i++) {
-      selected.push(utxos[i]);
-      totalInput += utxos[i].effectiveValue;
-      if (totalInput >= targetAmount) {
-        return selected;
-      }
-    }
-
-    throw new Error("Insufficient funds");
-  }
-
-  const branchAndBound = (utxos, targetAmount) => {
-    let bestSolution = null;
-    let minWaste = Infinity;
-
-    const explore = (remainingUtxos, selectedUtxos, currentSum, depth) => {
-      // Base case
-      if (currentSum >= targetAmount) {
-        let waste = currentSum - targetAmount;
-        if (waste < minWaste) {
-          bestSolution = selectedUtxos;
-          minWaste = waste;
-        }
-        return;
-      }
-      // Pruning: unreachable target
-      if (currentSum + remainingUtxos.reduce((acc, utxo) => acc + utxo.effectiveValue, 0) < targetAmount) {
-        return;
-      }
-      // Pruning: too deep
-      if (depth > remainingUtxos.length) {
-        return;
-      }
-      //Branch
-      for (let i = 0; i < remainingUtxos.length; i++) {
-        // moving across the tree - add one utxo to the selected utxos
-        // if target is hit, stop
-        // if target is not hit, move across the tree again and add another utxo
-        // repeat until target is hit
-        let newRemainingUtxos = remainingUtxos.slice(i + 1);
-        let newSelectedUtxos = selectedUtxos.concat(remainingUtxos[i]);
-        let newSum = currentSum + remainingUtxos[i].effectiveValue;
-        explore(newRemainingUtxos, newSelectedUtxos, newSum, depth + 1);
-      }
-    }
-    explore(utxos, [], 0, 0);
-    return bestSolution;
-  }
-
-  const getAddressType = (addressScript, publicKey) => {
-    if (isP2TR(addressScript)) {
-      return 'P2TR';
-    }
-    if (isP2WPKH(addressScript)) {
-      return 'P2WPKH';
-    }
-    if (isP2SHScript(addressScript)) {
-      // for nested segwit, we have:
-      // pubKey -> pubkeyhash -> pubkeyhashscript (witness program/p2pkh) -> pubkeyhashscripthash (witness program hash/scripthash) -> pubkeyhashscripthashscript (P2SH script)
-
-      // Parse the P2SH script (OP_HASH160 <scripthash> OP_EQUAL) to extract the witness program hash stored inside it
-      const p2sh = bitcoin.payments.p2sh({
-        output: addressScript,
-        network: NETWORKS[network].bitcoinjs
-      })
-
-      // Create pubkeyhash from pubkey
-      const pubkeyHash = bitcoin.crypto.hash160(Buffer.from(publicKey, 'hex'))
-
-      // Create the witness program (OP_0 <pubkeyhash>) that would be wrapped inside P2SH for this pubkey
-      const p2wpkh = bitcoin.payments.p2wpkh({
-        hash: pubkeyHash,
-        network: NETWORKS[network].bitcoinjs
-      })
-
-      // Check if:
-      // scripthash inside P2SH script (p2sh.hash) equals hash of witness program we generated (hash160(p2wpkh.output))
-      // If equal -> this P2SH script is wrapping the SegWit script for this pubkey
-      if (p2sh.hash.equals(bitcoin.crypto.hash160(p2wpkh.output))) {
-        return 'P2SH-P2WPKH'
-      } else {
-        throw new Error("Unsupported address type");
-      }
-    }
-    if (isP2PKH(addressScript)) {
-      return 'P2PKH';
-    }
-    throw new Error("Unsupported address type");
-  }
-
   return (
     <> 
+      <div className="network-picker">
+        <select value={network} onChange={(e) => changeNetwork(e.target.value)}>
+          {Object.keys(NETWORKS).map(networkName => (
+            <option key={networkName} value={networkName} disabled={wallet !== null && !wallet.constructor.networks.includes(networkName)}>
+              {networkName}
+            </option>
+          ))}
+        </select>
+        {pendingNetwork ? <button onClick={() => checkNetworkSwitch()}>Check Again</button> : <></>}
+      </div>
+
+      {signingRequest ? (
+        <div className="signing-request">
+          <div>Sign these in your signer, then import them back. The inscription continues once all are signed.</div>
+          {signingRequest.psbts.map((psbtBase64, index) => (
+            <div key={psbtBase64} className="signing-request-psbt">
+              <div><strong>PSBT {index + 1}:</strong> {signingRequest.signed[index] ? 'signed' : 'waiting'}</div>
+              {!signingRequest.signed[index] ? (
+                <>
+                  <button onClick={() => downloadPsbt(psbtBase64, index)}>Download .psbt</button>
+                  <button onClick={() => navigator.clipboard.writeText(psbtBase64)}>Copy Base64</button>
+                  <PsbtQRCode psbtBase64={psbtBase64} />
+                </>
+              ) : <></>}
+            </div>
+          ))}
+          <label>
+            Import Signed PSBT <input type="file" accept=".psbt,.txt" onChange={importSignedPsbtFile} />
+          </label>
+          <textarea
+            placeholder="Signed PSBT as base64, hex or ur:crypto-psbt parts"
+            value={importText}
+            onChange={(e) => setImportText(e.target.value)}
+          />
+          <button onClick={() => importSignedPsbt(importText)}>Import Pasted PSBT</button>
+          <PsbtQRScanner onPsbt={importSignedPsbt} onError={showWalletError} />
+          <button onClick={() => wallet.cancelSigning()}>Cancel Signing</button>
+        </div>
+      ) : <></>}
+
       {!isConnected ? (
-        <button onClick={() => setIsModalOpen(true)}>Connect Wallet</button>
+        <button onClick={() => openWalletModal()}>Connect Wallet</button>
       ) : (
         <div>
+          {walletError ? <div className="wallet-error">{walletError}</div> : <></>}
           <div className="address-display">
-            <div><strong>Payment Address:</strong> {wallet?.paymentAddress}</div>
-            <div><strong>Ordinals Address:</strong> {wallet?.ordinalsAddress}</div>
+            <div><strong>Payment Address:</strong> {account?.paymentAddress}</div>
+            <div><strong>Ordinals Address:</strong> {account?.ordinalsAddress}</div>
           </div>
           
+          {/* without a taproot address there's no key to put in the commit's refund leaf */}
+          {account && !wallet.hasTaprootAddress() ? (
+            <label className="wallet-error">
+              <input type="checkbox" checked={allowNoRefund} onChange={(e) => setAllowNoRefund(e.target.checked)} />
+              This wallet has no taproot address, so the commit has no refund path if the reveal key is lost. Inscribe anyway
+            </label>
+          ) : <></>}
           <button onClick={() => createInscriptions()}>Create Inscription</button>
           <button onClick={() => disconnectWallet()}>Disconnect Wallet</button>
           <button onClick={() => createTestInscriptions3()}>Create Test Inscription</button>
+          {network === 'regtest' ? <button onClick={() => mineBlocks(1)}>Mine Block</button> : <></>}
+          {network === 'regtest' ? <button onClick={() => mineBlocks(101)}>Mine 101 Blocks</button> : <></>}
         </div>
       )}
 
+      <div className="backup-controls">
+        <input
+          type="password"
+          placeholder="Backup passphrase"
+          value={backupPassphrase}
+          onChange={(e) => setBackupPassphrase(e.target.value)}
+        />
+        <button onClick={() => exportBackupFile()}>Export Backups</button>
+        <label>
+          Import Backups <input type="file" accept="application/json" onChange={importBackupFile} />
+        </label>
+      </div>
+
+      <div className="recovery-console">
+        {recoveryError ? <div className="wallet-error">{recoveryError}</div> : <></>}
+        {recoveryStatus ? <div className="recovery-status">{recoveryStatus}</div> : <></>}
+        <input
+          type="number"
+          placeholder="Fee rate (sats/vB)"
+          value={recoveryFeeRate}
+          onChange={(e) => setRecoveryFeeRate(e.target.value)}
+        />
+        <button onClick={() => findStuckReveals()}>Find Stuck Commits</button>
+        {recoveryItems.map(item => (
+          <div key={`${item.backup.commitTxId}:${item.backup.reveals[item.revealIndex].commitVout}`} className="recovery-item">
+            <div><strong>Commit:</strong> {item.backup.commitTxId}:{item.backup.reveals[item.revealIndex].commitVout} ({item.commitStatus === null ? 'not broadcast' : item.commitStatus.confirmed ? 'confirmed' : 'unconfirmed'})</div>
+            <div><strong>Spent by:</strong> {item.spendingTxId ?? 'nothing yet'}</div>
+            {item.backup.reveals[item.revealIndex].leafScripts.length > 1
+              ? <div>Refund signed with your taproot (ordinals) key, paid to your payment address</div>
+              : <div>No refund path: only ephemeral key inscriptions from wallets with a taproot address have one</div>}
+            {item.refundHeight !== null ? <div>Refundable from block {item.refundHeight}</div> : <></>}
+            <button onClick={() => rebroadcastReveal(item)}>Rebroadcast Reveal</button>
+            <button onClick={() => rebuildReveal(item)}>Rebuild Reveal at Fee Rate</button>
+            {item.commitStatus?.confirmed === false ? <button onClick={() => speedUpCommit(item)}>Speed Up Commit</button> : <></>}
+            <button onClick={() => sweepCommitOutput(item)}>Sweep via Key Path</button>
+            {item.backup.reveals[item.revealIndex].leafScripts.length > 1 ? <button onClick={() => refundCommitOutput(item)}>Refund to Payment Address</button> : <></>}
+          </div>
+        ))}
+      </div>
+
       <Modal
         isOpen={isModalOpen}
         onClose={() => setIsModalOpen(false)}
       >
-        {window.unisat ? <button onClick={() => connectWallet('unisat')}>Connect Unisat</button> : <></>}
-        {window.XverseProviders?.BitcoinProvider ? <button onClick={() => connectWallet('xverse')}>Connect Xverse</button> : <></>}
-        {window.LeatherProvider ? <button onClick={() => connectWallet('leather')}>Connect Leather</button> : <></>}
-        {window.magicEden ? <button onClick={() => connectWallet('magiceden')}>Connect Magic Eden</button> : <></>}
-        {window.okxwallet ? <button onClick={() => connectWallet('okx')}>Connect Okx</button> : <></>}
-        {window.phantom ? <button onClick={() => connectWallet('phantom')}>Connect Phantom</button> : <></>}
-        {window.oyl ? <button onClick={() => connectWallet('oyl')}>Connect Oyl</button> : <></>}
+        {walletError ? <div className="wallet-error">{walletError}</div> : <></>}
+        {availableWallets.map(WalletClass => (
+          <button
+            key={WalletClass.id}
+            onClick={() => WalletClass === FileWallet ? setIsFileWalletFormOpen(true) : connectWallet(WalletClass.id)}
+          >
+            {WalletClass.icon ? <img src={WalletClass.icon} alt="" width={16} height={16} /> : <></>} Connect {WalletClass.displayName}
+          </button>
+        ))}
+        {isFileWalletFormOpen ? (
+          <div className="file-wallet-form">
+            {Object.entries({
+              paymentAddress: 'Payment address',
+              paymentPublicKey: 'Payment public key (hex)',
+              ordinalsAddress: 'Ordinals address (optional)',
+              ordinalsPublicKey: 'Ordinals public key (optional)',
+              masterFingerprint: 'Master fingerprint (for hardware wallets)',
+            }).map(([field, placeholder]) => (
+              <input
+                key={field}
+                placeholder={placeholder}
+                value={fileWalletAccount[field]}
+                onChange={(e) => setFileWalletAccount({ ...fileWalletAccount, [field]: e.target.value.trim() })}
+              />
+            ))}
+            <button onClick={() => connectWallet(FileWallet.id, fileWalletAccount)}>Connect Signer</button>
+          </div>
+        ) : <></>}
       </Modal>
 
     </>
@@ -922,8 +646,96 @@ const Modal = ({ isOpen, onClose, children }) => {
   );
 };
 
+const QR_FRAME_INTERVAL = 250;
+
+// animated bc-ur qr code, for signers that scan rather than read files
+const PsbtQRCode = ({ psbtBase64 }) => {
+  const [frame, setFrame] = useState(null);
+
+  useEffect(() => {
+    const encoder = createPsbtUREncoder(psbtBase64);
+    let cancelled = false;
+    const showNextPart = () => getQRCodeDataUrl(encoder.nextPart()).then(dataUrl => {
+      if (!cancelled) setFrame(dataUrl);
+    });
+    showNextPart();
+    const timer = encoder.fragmentsLength > 1 ? setInterval(showNextPart, QR_FRAME_INTERVAL) : null;
+    return () => {
+      cancelled = true;
+      clearInterval(timer);
+    };
+  }, [psbtBase64]);
+
+  return frame ? <img src={frame} alt="PSBT QR code" width={320} height={320} /> : <></>;
+};
+
+PsbtQRCode.propTypes = {
+  psbtBase64: PropTypes.string.isRequired,
+};
+
+// reads the signer's animated qr code back through the camera, where the browser can detect qr codes
+const PsbtQRScanner = ({ onPsbt, onError }) => {
+  const [isScanning, setIsScanning] = useState(false);
+  const [progress, setProgress] = useState(0);
+  const videoRef = useRef(null);
+  // the latest callbacks, without restarting the camera every render
+  const callbacksRef = useRef({ onPsbt, onError });
+  callbacksRef.current = { onPsbt, onError };
+
+  useEffect(() => {
+    if (!isScanning) return;
+    const decoder = new PsbtURDecoder();
+    const detector = new window.BarcodeDetector({ formats: ['qr_code'] });
+    let stream = null;
+    let timer = null;
+    const stop = () => {
+      clearInterval(timer);
+      stream?.getTracks().forEach(track => track.stop());
+    };
+    navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } }).then(mediaStream => {
+      stream = mediaStream;
+      videoRef.current.srcObject = stream;
+      timer = setInterval(async () => {
+        try {
+          const codes = await detector.detect(videoRef.current);
+          for (const code of codes) {
+            const psbt = decoder.receivePart(code.rawValue);
+            setProgress(decoder.getProgress());
+            if (psbt) {
+              setIsScanning(false);
+              callbacksRef.current.onPsbt(psbt);
+              return;
+            }
+          }
+        } catch (error) {
+          setIsScanning(false);
+          callbacksRef.current.onError(error);
+        }
+      }, QR_FRAME_INTERVAL / 2);
+    }).catch(error => {
+      setIsScanning(false);
+      callbacksRef.current.onError(error);
+    });
+    return stop;
+  }, [isScanning]);
+
+  if (!('BarcodeDetector' in window)) return <></>;
+  return isScanning ? (
+    <div>
+      <video ref={videoRef} autoPlay muted playsInline width={320} />
+      <div>{Math.floor(progress * 100)}%</div>
+      <button onClick={() => setIsScanning(false)}>Stop Scanning</button>
+    </div>
+  ) : (
+    <button onClick={() => { setProgress(0); setIsScanning(true); }}>Scan Signed PSBT</button>
+  );
+};
+
+PsbtQRScanner.propTypes = {
+  onPsbt: PropTypes.func.isRequired,
+  onError: PropTypes.func.isRequired,
+};
+
 export default App
 
-//TODO: Backup Reveal Tx
 //TODO: Add mobile wallet support
-//TODO: Add hardware wallet support
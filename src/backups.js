@@ -0,0 +1,188 @@
+// local backups of inscription jobs, written before the commit is broadcast so a closed tab
+// between commit and reveal never loses funds. ephemeral reveal keys are encrypted with a user passphrase
+import * as bitcoin from 'bitcoinjs-lib'
+import { Buffer } from 'buffer'
+import { NETWORKS } from './networks.js'
+
+const DB_NAME = 'inscription-backups';
+const DB_VERSION = 1;
+const STORE_NAME = 'jobs';
+const BACKUP_FILE_VERSION = 1;
+const PBKDF2_ITERATIONS = 210000;
+
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      request.result.createObjectStore(STORE_NAME, { keyPath: 'id' });
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+async function withStore(mode, callback) {
+  const db = await openDatabase();
+  try {
+    return await new Promise((resolve, reject) => {
+      const transaction = db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+      transaction.oncomplete = () => resolve(request?.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  } finally {
+    db.close();
+  }
+}
+
+async function deriveKey(passphrase, salt) {
+  const baseKey = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', salt, iterations: PBKDF2_ITERATIONS, hash: 'SHA-256' },
+    baseKey,
+    { name: 'AES-GCM', length: 256 },
+    false,
+    ['encrypt', 'decrypt']
+  );
+}
+
+async function encryptSecret(secret, passphrase) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const iv = crypto.getRandomValues(new Uint8Array(12));
+  const key = await deriveKey(passphrase, salt);
+  const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, key, secret);
+  return {
+    salt: Buffer.from(salt).toString('hex'),
+    iv: Buffer.from(iv).toString('hex'),
+    ciphertext: Buffer.from(ciphertext).toString('hex'),
+  };
+}
+
+async function decryptSecret(encryptedSecret, passphrase) {
+  const key = await deriveKey(passphrase, Buffer.from(encryptedSecret.salt, 'hex'));
+  try {
+    const secret = await crypto.subtle.decrypt(
+      { name: 'AES-GCM', iv: Buffer.from(encryptedSecret.iv, 'hex') },
+      key,
+      Buffer.from(encryptedSecret.ciphertext, 'hex')
+    );
+    return Buffer.from(secret);
+  } catch {
+    throw new Error('Wrong passphrase or corrupted backup');
+  }
+}
+
+// reveals: [{ commitVout, revealFee, revealTaproot, revealPsbt }], revealPsbt signed wherever we could sign it
+async function createBackup({ network, creationMethod, paymentAddress, ordinalsAddress, commitTx, reveals, ephemeralKeyPair = null, passphrase = null }) {
+  if (ephemeralKeyPair !== null && !passphrase) {
+    throw new Error('A passphrase is required to back up the ephemeral reveal key');
+  }
+  return {
+    id: commitTx.getId(),
+    version: BACKUP_FILE_VERSION,
+    network,
+    creationMethod,
+    createdAt: Date.now(),
+    paymentAddress,
+    ordinalsAddress,
+    commitTxId: commitTx.getId(),
+    commitTxHex: commitTx.toHex(),
+    reveals: reveals.map(reveal => ({
+      commitVout: reveal.commitVout,
+      revealFee: reveal.revealFee,
+      internalPubkey: reveal.revealTaproot.internalPubkey.toString('hex'),
+      // inscription leaf first, then the refund leaf if there is one
+      leafScripts: (Array.isArray(reveal.revealTaproot.scriptTree) ? reveal.revealTaproot.scriptTree : [reveal.revealTaproot.scriptTree])
+        .map(leaf => leaf.output.toString('hex')),
+      revealPsbt: reveal.revealPsbt.toBase64(),
+      revealTxId: reveal.revealPsbt.__CACHE.__TX.getId(),
+    })),
+    ephemeralKey: ephemeralKeyPair === null ? null : await encryptSecret(ephemeralKeyPair.privateKey, passphrase),
+    status: 'signed', // signed -> commit_broadcast -> revealed
+  };
+}
+
+function getBackupRevealTaproot(backupReveal, network) {
+  const [inscriptionLeaf, ...otherLeaves] = backupReveal.leafScripts.map(script => ({
+    leafVersion: 192,
+    output: Buffer.from(script, 'hex'),
+  }));
+  return bitcoin.payments.p2tr({
+    internalPubkey: Buffer.from(backupReveal.internalPubkey, 'hex'),
+    scriptTree: otherLeaves.length === 0 ? inscriptionLeaf : [inscriptionLeaf, ...otherLeaves],
+    redeem: inscriptionLeaf,
+    network: NETWORKS[network].bitcoinjs
+  });
+}
+
+async function getBackupEphemeralKey(backup, passphrase) {
+  if (backup.ephemeralKey === null) return null;
+  return decryptSecret(backup.ephemeralKey, passphrase);
+}
+
+async function saveBackup(backup) {
+  await withStore('readwrite', store => store.put(backup));
+  return backup;
+}
+
+async function updateBackup(id, changes) {
+  const backup = await getBackup(id);
+  if (!backup) throw new Error(`No backup found for ${id}`);
+  return saveBackup({ ...backup, ...changes });
+}
+
+async function getBackup(id) {
+  return withStore('readonly', store => store.get(id));
+}
+
+async function getAllBackups() {
+  return withStore('readonly', store => store.getAll());
+}
+
+async function deleteBackup(id) {
+  await withStore('readwrite', store => store.delete(id));
+}
+
+// the export file format, also written directly by the cli so its jobs can be imported here
+function serializeBackups(backups) {
+  return JSON.stringify({ version: BACKUP_FILE_VERSION, exportedAt: Date.now(), backups }, null, 2);
+}
+
+function parseBackups(json) {
+  const file = JSON.parse(json);
+  if (file.version !== BACKUP_FILE_VERSION || !Array.isArray(file.backups)) {
+    throw new Error('Unrecognised backup file');
+  }
+  return file.backups;
+}
+
+async function exportBackups() {
+  return serializeBackups(await getAllBackups());
+}
+
+// merges an exported file into the store, records already present are kept as they are
+async function importBackups(json) {
+  const backups = parseBackups(json);
+  const existingIds = new Set((await getAllBackups()).map(backup => backup.id));
+  const newBackups = backups.filter(backup => !existingIds.has(backup.id));
+  await withStore('readwrite', store => {
+    newBackups.forEach(backup => store.put(backup));
+  });
+  return newBackups.length;
+}
+
+export {
+  createBackup,
+  saveBackup,
+  updateBackup,
+  getBackup,
+  getAllBackups,
+  deleteBackup,
+  exportBackups,
+  importBackups,
+  serializeBackups,
+  parseBackups,
+  getBackupRevealTaproot,
+  getBackupEphemeralKey
+};
@@ -0,0 +1,161 @@
+// message signing, to prove who holds an address (allowlists, claims) without moving any coins. bip-322
+// (https://github.com/bitcoin/bips/blob/master/bip-0322.mediawiki) signs a virtual transaction spending from
+// the address, so any address type works and the signature is checked the way a real spend would be. legacy
+// p2pkh addresses are signed the older bip-137 way, which is what wallets hand back for them. verifyMessage
+// takes bip-322 simple and full signatures as well as bip-137 ones, no server needed
+import * as bitcoin from 'bitcoinjs-lib';
+import { Buffer } from 'buffer';
+import { isP2PKH, isP2SHScript, isP2TR } from 'bitcoinjs-lib/src/psbt/psbtutils.js';
+import { toXOnly } from 'bitcoinjs-lib/src/psbt/bip371.js';
+import { BufferReader, BufferWriter, varuint } from 'bitcoinjs-lib/src/bufferutils.js';
+import * as tinyecc from 'tiny-secp256k1';
+import { NETWORKS, getNetworksFromAddress } from './networks.js';
+import { ALLOWED_SIGHASH_TYPES, verifyInputSignatures } from './psbtVerification.js';
+
+const MESSAGE_TAG = 'BIP0322-signed-message';
+const LEGACY_MESSAGE_PREFIX = Buffer.from('\x18Bitcoin Signed Message:\n', 'utf-8');
+const TO_SIGN_OUTPUT_SCRIPT = bitcoin.script.compile([bitcoin.opcodes.OP_RETURN]);
+
+// bip-137 headers are 27 + the recovery id, offset by what the key stands behind
+const LEGACY_HEADERS = { 'p2pkh-uncompressed': 27, 'p2pkh': 31, 'p2sh-p2wpkh': 35, 'p2wpkh': 39 };
+
+function getAddressScript(address) {
+  return bitcoin.address.toOutputScript(address, NETWORKS[getNetworksFromAddress(address)[0]].bitcoinjs);
+}
+
+function isLegacyAddress(address) {
+  return isP2PKH(getAddressScript(address));
+}
+
+function getMessageHash(message) {
+  const tagHash = bitcoin.crypto.sha256(Buffer.from(MESSAGE_TAG, 'utf-8'));
+  return bitcoin.crypto.sha256(Buffer.concat([tagHash, tagHash, Buffer.from(message, 'utf-8')]));
+}
+
+// commits to the message and pays the address, to_sign spends it
+function getToSpendTransaction(outputScript, message) {
+  const tx = new bitcoin.Transaction();
+  tx.version = 0;
+  tx.addInput(Buffer.alloc(32), 0xffffffff, 0, bitcoin.script.compile([bitcoin.opcodes.OP_0, getMessageHash(message)]));
+  tx.addOutput(outputScript, 0);
+  return tx;
+}
+
+function getToSignTransaction(toSpendTx, witness = []) {
+  const tx = new bitcoin.Transaction();
+  tx.version = 0;
+  tx.addInput(toSpendTx.getHash(), 0, 0);
+  tx.setWitness(0, witness);
+  tx.addOutput(TO_SIGN_OUTPUT_SCRIPT, 0);
+  return tx;
+}
+
+// to_sign as a psbt for signers holding the key, publicKey is the one behind address
+function getToSignPsbt(address, message, publicKey) {
+  const outputScript = getAddressScript(address);
+  const toSpendTx = getToSpendTransaction(outputScript, message);
+  const psbt = new bitcoin.Psbt();
+  psbt.setVersion(0);
+  psbt.addInput({
+    hash: toSpendTx.getHash(),
+    index: 0,
+    sequence: 0,
+    witnessUtxo: { script: outputScript, value: 0 },
+    ...(isP2TR(outputScript) && { tapInternalKey: toXOnly(publicKey) }),
+    ...(isP2SHScript(outputScript) && { redeemScript: bitcoin.payments.p2wpkh({ pubkey: publicKey }).output }),
+  });
+  psbt.addOutput({ script: TO_SIGN_OUTPUT_SCRIPT, value: 0 });
+  return psbt;
+}
+
+// the simple format is just to_sign's witness
+function encodeSimpleSignature(witness) {
+  const writer = BufferWriter.withCapacity(
+    varuint.encodingLength(witness.length) + witness.reduce((acc, item) => acc + varuint.encodingLength(item.length) + item.length, 0)
+  );
+  writer.writeVector(witness);
+  return writer.end().toString('base64');
+}
+
+// null unless the bytes are exactly one witness stack
+function decodeSimpleSignature(signatureBytes) {
+  try {
+    const reader = new BufferReader(signatureBytes);
+    const witness = reader.readVector();
+    return reader.offset === signatureBytes.length ? witness : null;
+  } catch {
+    return null;
+  }
+}
+
+function getLegacyMessageHash(message) {
+  const messageBytes = Buffer.from(message, 'utf-8');
+  return bitcoin.crypto.hash256(Buffer.concat([LEGACY_MESSAGE_PREFIX, varuint.encode(messageBytes.length), messageBytes]));
+}
+
+function signLegacyMessage(keyPair, message, addressType = 'p2pkh') {
+  const { signature, recoveryId } = tinyecc.signRecoverable(getLegacyMessageHash(message), keyPair.privateKey);
+  return Buffer.concat([Buffer.from([LEGACY_HEADERS[addressType] + recoveryId]), Buffer.from(signature)]).toString('base64');
+}
+
+// the recovered key has to stand behind the address. wallets disagree on the segwit headers, so any header
+// goes as long as the key fits
+function verifyLegacySignature(outputScript, message, signatureBytes) {
+  const header = signatureBytes[0];
+  const compressed = header >= LEGACY_HEADERS['p2pkh'];
+  const publicKey = tinyecc.recover(getLegacyMessageHash(message), signatureBytes.subarray(1), (header - 27) & 3, compressed);
+  if (!publicKey) return false;
+  const pubkeyHash = bitcoin.crypto.hash160(Buffer.from(publicKey));
+  if (isP2PKH(outputScript)) return pubkeyHash.equals(outputScript.subarray(3, 23));
+  if (!compressed) return false;
+  const witnessProgram = bitcoin.payments.p2wpkh({ hash: pubkeyHash }).output;
+  if (isP2SHScript(outputScript)) return bitcoin.crypto.hash160(witnessProgram).equals(outputScript.subarray(2, 22));
+  return witnessProgram.equals(outputScript);
+}
+
+function getSignedToSignTransaction(toSpendTx, outputScript, signatureBytes) {
+  const witness = decodeSimpleSignature(signatureBytes);
+  if (witness === null) {
+    // full format, the whole to_sign transaction. it may set its own version, locktime and sequence
+    const tx = bitcoin.Transaction.fromBuffer(signatureBytes);
+    const isToSign = tx.ins.length === 1 && tx.ins[0].hash.equals(toSpendTx.getHash()) && tx.ins[0].index === 0
+      && tx.outs.length === 1 && tx.outs[0].value === 0 && tx.outs[0].script.equals(TO_SIGN_OUTPUT_SCRIPT);
+    if (!isToSign) throw new Error('Signature is not a to_sign transaction for this message');
+    return tx;
+  }
+  const tx = getToSignTransaction(toSpendTx, witness);
+  // simple signatures leave out nested segwit's script sig, it's the key's p2wpkh program
+  if (isP2SHScript(outputScript) && witness.length === 2) {
+    tx.setInputScript(0, bitcoin.script.compile([bitcoin.payments.p2wpkh({ pubkey: witness[1] }).output]));
+  }
+  return tx;
+}
+
+// signature is base64, as the wallets' signMessage returns it. throws for addresses that don't parse,
+// anything wrong with the signature is just false
+function verifyMessage(address, message, signature) {
+  const outputScript = getAddressScript(address);
+  const signatureBytes = Buffer.from(signature, 'base64');
+  try {
+    if (signatureBytes.length === 65 && signatureBytes[0] >= 27 && signatureBytes[0] <= 42) {
+      return verifyLegacySignature(outputScript, message, signatureBytes);
+    }
+    const toSpendTx = getToSpendTransaction(outputScript, message);
+    const toSignTx = getSignedToSignTransaction(toSpendTx, outputScript, signatureBytes);
+    verifyInputSignatures(toSignTx, 0, [toSpendTx.outs[0]], {}, ALLOWED_SIGHASH_TYPES);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+export {
+  isLegacyAddress,
+  getMessageHash,
+  getToSpendTransaction,
+  getToSignTransaction,
+  getToSignPsbt,
+  encodeSimpleSignature,
+  signLegacyMessage,
+  verifyMessage
+};
@@ -0,0 +1,145 @@
+// finds out what a connected wallet can really sign instead of trusting the flags its adapter declares.
+// the wallet is asked to sign two throwaway psbts spending a made up outpoint, so nothing it signs can ever be
+// broadcast: one script path spend of a custom taproot address (the reveal) and one key path spend tweaked by
+// a merkle root (sweeps and refunds). the signatures are checked here, results are cached per wallet and version
+import * as bitcoin from 'bitcoinjs-lib';
+import { Buffer } from 'buffer';
+import { tapleafHash } from 'bitcoinjs-lib/src/payments/bip341.js';
+import * as tinyecc from 'tiny-secp256k1';
+import { NETWORKS } from './networks.js';
+import { UserRejectedError, toWalletError } from './errors.js';
+
+const CACHE_KEY = 'wallet-capabilities';
+const PROBE_VALUE = 10000;
+const PROBE_FEE = 1000;
+
+let memoryCache = {};
+
+function readCache() {
+  if (!globalThis.localStorage) return memoryCache;
+  try {
+    return JSON.parse(localStorage.getItem(CACHE_KEY) ?? '{}');
+  } catch {
+    return {};
+  }
+}
+
+function writeCache(cache) {
+  if (!globalThis.localStorage) {
+    memoryCache = cache;
+    return;
+  }
+  localStorage.setItem(CACHE_KEY, JSON.stringify(cache));
+}
+
+function clearCapabilitiesCache() {
+  writeCache({});
+}
+
+// same shape as the reveal: the wallet's key in a single checksig leaf, and as the internal key
+function getProbeTaproot(wallet) {
+  const internalPubkey = wallet.getTaproot().internalPubkey;
+  const leaf = { output: bitcoin.script.compile([internalPubkey, bitcoin.opcodes.OP_CHECKSIG]) };
+  return bitcoin.payments.p2tr({
+    internalPubkey,
+    scriptTree: leaf,
+    redeem: leaf,
+    network: NETWORKS[wallet.network].bitcoinjs
+  });
+}
+
+function getProbePsbt(wallet, probeTaproot, scriptPath) {
+  const psbt = new bitcoin.Psbt({ network: NETWORKS[wallet.network].bitcoinjs });
+  psbt.addInput({
+    hash: Buffer.from(crypto.getRandomValues(new Uint8Array(32))),
+    index: 0,
+    witnessUtxo: { script: probeTaproot.output, value: PROBE_VALUE },
+    tapInternalKey: probeTaproot.internalPubkey,
+    tapMerkleRoot: probeTaproot.hash,
+    ...(scriptPath && {
+      tapLeafScript: [{
+        leafVersion: probeTaproot.redeemVersion,
+        script: probeTaproot.redeem.output,
+        controlBlock: probeTaproot.witness[probeTaproot.witness.length - 1],
+      }]
+    }),
+  });
+  psbt.addOutput({ address: wallet.ordinalsAddress, value: PROBE_VALUE - PROBE_FEE });
+  return psbt;
+}
+
+// adapters mostly hand back finalized psbts, some leave the signature in place
+function getInputSignature(signedPsbt) {
+  const input = signedPsbt.data.inputs[0];
+  if (input.finalScriptWitness) return signedPsbt.extractTransaction(true).ins[0].witness[0];
+  return input.tapScriptSig?.[0]?.signature ?? input.tapKeySig ?? null;
+}
+
+function verifyProbeSignature(unsignedPsbt, signedPsbt, probeTaproot, scriptPath) {
+  const signature = getInputSignature(signedPsbt);
+  if (!signature || (signature.length !== 64 && signature.length !== 65)) return false;
+  const hashType = signature.length === 65 ? signature[64] : bitcoin.Transaction.SIGHASH_DEFAULT;
+  const hash = unsignedPsbt.__CACHE.__TX.hashForWitnessV1(
+    0,
+    [probeTaproot.output],
+    [PROBE_VALUE],
+    hashType,
+    scriptPath ? tapleafHash({ output: probeTaproot.redeem.output, version: probeTaproot.redeemVersion }) : undefined
+  );
+  // script path signs with the wallet key itself, key path with the output key it was tweaked into
+  const publicKey = scriptPath ? probeTaproot.internalPubkey : probeTaproot.pubkey;
+  return tinyecc.verifySchnorr(hash, publicKey, signature.subarray(0, 64));
+}
+
+// true/false for whether the wallet produced a valid signature, null if the user said no
+async function probeSigning(wallet, scriptPath) {
+  const probeTaproot = getProbeTaproot(wallet);
+  const psbt = getProbePsbt(wallet, probeTaproot, scriptPath);
+  // signing indexes as the inscription flows send them
+  const signingIndexes = scriptPath
+    ? [{ index: 0, address: wallet.getTaproot().address, useTweakSigner: false, useTweakedSigner: false }]
+    : [{ index: 0, address: wallet.getTaproot().address }];
+  try {
+    const signedPsbt = await wallet.signPsbt(bitcoin.Psbt.fromBase64(psbt.toBase64()), signingIndexes);
+    return verifyProbeSignature(psbt, signedPsbt, probeTaproot, scriptPath);
+  } catch (error) {
+    console.log(`${wallet.walletType} ${scriptPath ? 'script' : 'key'} path probe failed:`, error?.message ?? error);
+    return toWalletError(error, wallet.walletType) instanceof UserRejectedError ? null : false;
+  }
+}
+
+// sets wallet.supportsCustomAddressSigning/supportsKeyPathSigning from what the wallet did and returns them.
+// without a taproot address there's nothing to probe, the ephemeral flow never asks for either. wallets signing
+// off the page keep what they declare rather than send the user two throwaway psbts
+async function probeWalletCapabilities(wallet, { force = false } = {}) {
+  const declared = {
+    supportsCustomAddressSigning: wallet.supportsCustomAddressSigning,
+    supportsKeyPathSigning: wallet.supportsKeyPathSigning,
+  };
+  if (!wallet.hasTaprootAddress() || wallet.constructor.manualSigning) return declared;
+
+  const cacheKey = `${wallet.walletType}@${await wallet.getVersion() ?? 'unknown'}`;
+  const cache = readCache();
+  if (!force && cache[cacheKey]) {
+    Object.assign(wallet, cache[cacheKey]);
+    return cache[cacheKey];
+  }
+
+  const scriptPathSigned = await probeSigning(wallet, true);
+  const keyPathSigned = await probeSigning(wallet, false);
+  // a cancelled prompt tells us nothing, keep what the adapter declared there and ask again next time
+  const capabilities = {
+    supportsCustomAddressSigning: scriptPathSigned ?? declared.supportsCustomAddressSigning,
+    supportsKeyPathSigning: keyPathSigned ?? declared.supportsKeyPathSigning,
+  };
+  if (scriptPathSigned !== null && keyPathSigned !== null) {
+    writeCache({ ...readCache(), [cacheKey]: capabilities });
+  }
+  Object.assign(wallet, capabilities);
+  return capabilities;
+}
+
+export {
+  probeWalletCapabilities,
+  clearCapabilitiesCache
+};
@@ -0,0 +1,199 @@
+// minimal cbor (rfc 8949) encoder/decoder for inscription metadata
+// covers what plain js objects can hold: maps, arrays, strings, bytes, numbers, booleans and null
+
+import { Buffer } from 'buffer'
+
+const MAJOR_UNSIGNED = 0;
+const MAJOR_NEGATIVE = 1;
+const MAJOR_BYTES = 2;
+const MAJOR_TEXT = 3;
+const MAJOR_ARRAY = 4;
+const MAJOR_MAP = 5;
+const MAJOR_TAG = 6;
+const MAJOR_SIMPLE = 7;
+
+function encodeHeader(majorType, argument) {
+  const type = majorType << 5;
+  if (typeof argument === 'bigint') {
+    const header = Buffer.alloc(9);
+    header[0] = type | 27;
+    header.writeBigUInt64BE(argument, 1);
+    return header;
+  }
+  if (argument < 24) {
+    return Buffer.from([type | argument]);
+  }
+  if (argument < 0x100) {
+    return Buffer.from([type | 24, argument]);
+  }
+  if (argument < 0x10000) {
+    const header = Buffer.alloc(3);
+    header[0] = type | 25;
+    header.writeUInt16BE(argument, 1);
+    return header;
+  }
+  if (argument < 0x100000000) {
+    const header = Buffer.alloc(5);
+    header[0] = type | 26;
+    header.writeUInt32BE(argument, 1);
+    return header;
+  }
+  return encodeHeader(majorType, BigInt(argument));
+}
+
+function encodeInteger(value) {
+  if (value >= 0) {
+    return encodeHeader(MAJOR_UNSIGNED, value);
+  }
+  // negative integers are stored as -1 - n
+  return encodeHeader(MAJOR_NEGATIVE, typeof value === 'bigint' ? -1n - value : -1 - value);
+}
+
+function encodeFloat(value) {
+  const bytes = Buffer.alloc(9);
+  bytes[0] = 0xfb;
+  bytes.writeDoubleBE(value, 1);
+  return bytes;
+}
+
+export function encodeCbor(value) {
+  if (value === null) return Buffer.from([0xf6]);
+  if (value === undefined) return Buffer.from([0xf7]);
+  if (value === false) return Buffer.from([0xf4]);
+  if (value === true) return Buffer.from([0xf5]);
+
+  if (typeof value === 'bigint') {
+    if (value > 0xffffffffffffffffn || value < -0x10000000000000000n) {
+      throw new Error('CBOR integers must fit in 64 bits');
+    }
+    return encodeInteger(value);
+  }
+  if (typeof value === 'number') {
+    if (Number.isSafeInteger(value)) return encodeInteger(value);
+    return encodeFloat(value);
+  }
+  if (typeof value === 'string') {
+    const bytes = Buffer.from(value, 'utf-8');
+    return Buffer.concat([encodeHeader(MAJOR_TEXT, bytes.length), bytes]);
+  }
+  if (value instanceof Uint8Array) { // includes Buffer
+    return Buffer.concat([encodeHeader(MAJOR_BYTES, value.length), Buffer.from(value)]);
+  }
+  if (Array.isArray(value)) {
+    return Buffer.concat([encodeHeader(MAJOR_ARRAY, value.length), ...value.map(encodeCbor)]);
+  }
+  if (value instanceof Map) {
+    const entries = [...value.entries()];
+    return Buffer.concat([
+      encodeHeader(MAJOR_MAP, entries.length),
+      ...entries.flatMap(([key, entryValue]) => [encodeCbor(key), encodeCbor(entryValue)])
+    ]);
+  }
+  if (typeof value === 'object') {
+    const entries = Object.entries(value);
+    return Buffer.concat([
+      encodeHeader(MAJOR_MAP, entries.length),
+      ...entries.flatMap(([key, entryValue]) => [encodeCbor(key), encodeCbor(entryValue)])
+    ]);
+  }
+  throw new Error(`Cannot CBOR encode value of type ${typeof value}`);
+}
+
+function decodeItem(bytes, offset) {
+  if (offset >= bytes.length) throw new Error('Unexpected end of CBOR data');
+  const majorType = bytes[offset] >> 5;
+  const additional = bytes[offset] & 0x1f;
+  offset += 1;
+
+  if (majorType === MAJOR_SIMPLE) {
+    switch (additional) {
+      case 20: return [false, offset];
+      case 21: return [true, offset];
+      case 22: return [null, offset];
+      case 23: return [undefined, offset];
+      case 25: return [decodeHalfFloat(bytes.readUInt16BE(offset)), offset + 2];
+      case 26: return [bytes.readFloatBE(offset), offset + 4];
+      case 27: return [bytes.readDoubleBE(offset), offset + 8];
+      default: throw new Error(`Unsupported CBOR simple value ${additional}`);
+    }
+  }
+
+  let argument;
+  if (additional < 24) {
+    argument = additional;
+  } else if (additional === 24) {
+    argument = bytes.readUInt8(offset);
+    offset += 1;
+  } else if (additional === 25) {
+    argument = bytes.readUInt16BE(offset);
+    offset += 2;
+  } else if (additional === 26) {
+    argument = bytes.readUInt32BE(offset);
+    offset += 4;
+  } else if (additional === 27) {
+    argument = bytes.readBigUInt64BE(offset);
+    if (argument <= BigInt(Number.MAX_SAFE_INTEGER)) argument = Number(argument);
+    offset += 8;
+  } else {
+    throw new Error('Indefinite length CBOR items are not supported');
+  }
+
+  switch (majorType) {
+    case MAJOR_UNSIGNED:
+      return [argument, offset];
+    case MAJOR_NEGATIVE: {
+      if (typeof argument === 'bigint') return [-1n - argument, offset];
+      const value = -1 - argument;
+      return [Number.isSafeInteger(value) ? value : -1n - BigInt(argument), offset];
+    }
+    case MAJOR_BYTES:
+    case MAJOR_TEXT: {
+      const end = offset + Number(argument);
+      if (end > bytes.length) throw new Error('Unexpected end of CBOR data');
+      const data = bytes.subarray(offset, end);
+      return [majorType === MAJOR_TEXT ? data.toString('utf-8') : Buffer.from(data), end];
+    }
+    case MAJOR_ARRAY: {
+      const array = [];
+      for (let i = 0; i < argument; i++) {
+        let item;
+        [item, offset] = decodeItem(bytes, offset);
+        array.push(item);
+      }
+      return [array, offset];
+    }
+    case MAJOR_MAP: {
+      const entries = [];
+      for (let i = 0; i < argument; i++) {
+        let key, value;
+        [key, offset] = decodeItem(bytes, offset);
+        [value, offset] = decodeItem(bytes, offset);
+        entries.push([key, value]);
+      }
+      // only string keyed maps can round trip through a plain object
+      if (entries.every(([key]) => typeof key === 'string')) {
+        return [Object.fromEntries(entries), offset];
+      }
+      return [new Map(entries), offset];
+    }
+    case MAJOR_TAG:
+      // tags only annotate the item that follows, we return the item as is
+      return decodeItem(bytes, offset);
+  }
+}
+
+function decodeHalfFloat(half) {
+  const exponent = (half >> 10) & 0x1f;
+  const mantissa = half & 0x3ff;
+  const sign = half & 0x8000 ? -1 : 1;
+  if (exponent === 0) return sign * mantissa * 2 ** -24;
+  if (exponent === 0x1f) return mantissa ? NaN : sign * Infinity;
+  return sign * (1 + mantissa / 1024) * 2 ** (exponent - 15);
+}
+
+export function decodeCbor(bytes) {
+  const buffer = Buffer.from(bytes);
+  const [value, offset] = decodeItem(buffer, 0);
+  if (offset !== buffer.length) throw new Error('Trailing bytes after CBOR item');
+  return value;
+}
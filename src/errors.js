@@ -0,0 +1,59 @@
+// errors the wallet adapters throw, whatever the extension behind them threw. the ui picks its message by type
+// and retries can tell a cancelled prompt (UserRejectedError) from a wallet that really failed
+class WalletError extends Error {
+  constructor(message, { walletType = null, code = null, cause = undefined } = {}) {
+    super(message, { cause });
+    this.name = this.constructor.name;
+    this.walletType = walletType;
+    this.code = code; // the provider's own error code, if it had one
+  }
+}
+
+class WalletNotInstalledError extends WalletError {}
+
+class UserRejectedError extends WalletError {}
+
+class WrongNetworkError extends WalletError {
+  constructor(message, { network = null, ...options } = {}) {
+    super(message, options);
+    this.network = network; // the network we wanted
+  }
+}
+
+class UnsupportedOperationError extends WalletError {}
+
+class SigningFailedError extends WalletError {}
+
+// the wallet signed, but not the transaction we asked it to, see psbtVerification.js
+class PsbtIntegrityError extends SigningFailedError {}
+
+// eip-1193 (unisat, okx, phantom, leather), sats-connect (xverse and co) and json-rpc codes
+const USER_REJECTED_CODES = [4001, -32000];
+const UNSUPPORTED_CODES = [4200, -32001, -32601];
+
+// providers throw Errors, plain { code, message } objects or whole json-rpc responses
+function toWalletError(error, walletType = null, FallbackError = WalletError) {
+  if (error instanceof WalletError) return error;
+  const providerError = error?.error ?? error;
+  const code = providerError?.code ?? null;
+  const message = providerError?.message ?? (typeof providerError === 'string' ? providerError : 'Unknown wallet error');
+  const options = { walletType, code, cause: error };
+  if (USER_REJECTED_CODES.includes(code) || /reject|cancel|denied/i.test(message)) {
+    return new UserRejectedError(message, options);
+  }
+  if (UNSUPPORTED_CODES.includes(code) || /not supported/i.test(message)) {
+    return new UnsupportedOperationError(message, options);
+  }
+  return new FallbackError(message, options);
+}
+
+export {
+  WalletError,
+  WalletNotInstalledError,
+  UserRejectedError,
+  WrongNetworkError,
+  UnsupportedOperationError,
+  SigningFailedError,
+  PsbtIntegrityError,
+  toWalletError
+};
@@ -0,0 +1,1334 @@
+// headless inscription sdk, the commit/reveal flows without any ui so they run in node as well as the browser.
+// an Inscriber takes a wallet adapter (see wallets.js), a chain provider (see providers.js) and Inscription objects
+import * as bitcoin from 'bitcoinjs-lib'
+import { Buffer } from 'buffer'
+import { isP2PKH, isP2SHScript, isP2WPKH, isP2TR } from 'bitcoinjs-lib/src/psbt/psbtutils.js'
+import { toXOnly } from 'bitcoinjs-lib/src/psbt/bip371.js'
+import { ECPairFactory } from 'ecpair'
+import * as tinyecc from 'tiny-secp256k1'
+
+import { NETWORKS, getNetworksFromAddress } from './networks.js'
+import { Inscription, decodeInscriptions, verifyRevealInscriptions } from './inscriptions.js'
+import { createBackup, getBackupRevealTaproot, getBackupEphemeralKey } from './backups.js'
+import { verifySignedPsbt } from './psbtVerification.js'
+import { PsbtIntegrityError } from './errors.js'
+
+bitcoin.initEccLib(tinyecc);
+const ECPair = ECPairFactory(tinyecc);
+
+function wrapECPairWithBufferPublicKey(ecpair) {
+  return {
+    publicKey: Buffer.from(ecpair.publicKey),
+    compressed: ecpair.compressed,
+    network: ecpair.network,
+    lowR: ecpair.lowR,
+    privateKey: ecpair.privateKey ? Buffer.from(ecpair.privateKey) : undefined,
+    // bitcoinjs 6 wants buffers back, ecpair 3 hands out Uint8Arrays
+    sign: (hash, lowR) => Buffer.from(ecpair.sign(hash, lowR)),
+    toWIF: ecpair.toWIF.bind(ecpair),
+    tweak: ecpair.tweak.bind(ecpair),
+    verify: ecpair.verify.bind(ecpair),
+    verifySchnorr: ecpair.verifySchnorr.bind(ecpair),
+    signSchnorr: (hash) => Buffer.from(ecpair.signSchnorr(hash)),
+  };
+}
+
+function generateKeyPair(bitcoinjsNetwork) {
+  const keypair = ECPair.makeRandom({ network: bitcoinjsNetwork });
+  return wrapECPairWithBufferPublicKey(keypair);
+}
+
+function getParentsValue(parentUtxos) {
+  return parentUtxos.reduce((acc, parentUtxo) => acc + parentUtxo.value, 0);
+}
+
+function getRevealScript(inscriptions, revealPublicKey, parentUtxos = []) {
+  let script = [revealPublicKey, bitcoin.opcodes.OP_CHECKSIG];
+  let running_postage = getParentsValue(parentUtxos); // parent sats come first in the reveal
+  for (let i = 0; i < inscriptions.length; i++) {
+    let inscription = inscriptions[i];
+    if (i>0) {
+      inscription.pointer = running_postage;
+    }
+    const inscriptionScript = inscription.getInscriptionScript();
+    script.push(...inscriptionScript);
+    running_postage += inscription.postage;
+  }
+  const compiledScript = bitcoin.script.compile(script);
+  return compiledScript;
+}
+
+const REFUND_LOCK_BLOCKS = 144; // ~1 day after the commit confirms
+
+function getRefundScript(refundPublicKey, lockBlocks) {
+  return bitcoin.script.compile([
+    bitcoin.script.number.encode(lockBlocks),
+    bitcoin.opcodes.OP_CHECKSEQUENCEVERIFY,
+    bitcoin.opcodes.OP_DROP,
+    refundPublicKey,
+    bitcoin.opcodes.OP_CHECKSIG,
+  ]);
+}
+
+function getRefundLockBlocks(refundScript) {
+  const lockBlocks = bitcoin.script.decompile(refundScript)[0];
+  if (Buffer.isBuffer(lockBlocks)) return bitcoin.script.number.decode(lockBlocks);
+  return lockBlocks - bitcoin.opcodes.OP_1 + 1; // small numbers compile to OP_1..OP_16
+}
+
+// refund: optional { publicKey, lockBlocks }, adds a csv timelocked leaf next to the inscription leaf
+// so the commit can still be recovered by the user if the reveal key is lost. the inscriber puts the wallet's
+// taproot key in it (see createInscriptionsWithEphemeralKey), not the payment key
+function getRevealTaproot(inscriptions, scriptPathPublicKey, network, keyPathInternalKey=scriptPathPublicKey, parentUtxos=[], refund=null) {
+  const script = getRevealScript(inscriptions, scriptPathPublicKey, parentUtxos);
+  const tapLeaf = {
+    leafVersion: 192, // Tapscript leaf version (0xc0)
+    output: script, // Serialized Tapscript
+  }
+  let scriptTree = tapLeaf;
+  if (refund !== null) {
+    scriptTree = [tapLeaf, {
+      leafVersion: 192,
+      output: getRefundScript(refund.publicKey, refund.lockBlocks),
+    }];
+  }
+  const revealTaproot = bitcoin.payments.p2tr({
+    internalPubkey: keyPathInternalKey,
+    scriptTree,
+    redeem: tapLeaf,
+    network: NETWORKS[network].bitcoinjs
+  });
+  return revealTaproot;
+}
+
+// same tree as the reveal taproot, but redeeming the refund leaf
+function getRefundTaproot(revealTaproot, network) {
+  if (!Array.isArray(revealTaproot.scriptTree)) {
+    throw new Error("Reveal taproot has no refund leaf");
+  }
+  return bitcoin.payments.p2tr({
+    internalPubkey: revealTaproot.internalPubkey,
+    scriptTree: revealTaproot.scriptTree,
+    redeem: revealTaproot.scriptTree[1],
+    network: NETWORKS[network].bitcoinjs
+  });
+}
+
+// parent inputs come first and are sent back to their own address unchanged, so the parent sats stay put
+// and the inscriptions follow them, see getRevealScript for the matching pointer offset
+const getRevealTransaction = (inscriptions, inscriptionReceiveAddress, revealTaproot, revealKeyPair, commitTxId, revealFee, network, sign=true, parentUtxos=[], commitVout=0) => {
+  const psbt = new bitcoin.Psbt({ network: NETWORKS[network].bitcoinjs });
+  for (const parentUtxo of parentUtxos) {
+    psbt.addInput({
+      hash: parentUtxo.txid,
+      index: parentUtxo.vout,
+      witnessUtxo: {
+        script: bitcoin.address.toOutputScript(parentUtxo.address, NETWORKS[network].bitcoinjs),
+        value: parentUtxo.value,
+      },
+      ...(parentUtxo.tapInternalKey && { tapInternalKey: parentUtxo.tapInternalKey }),
+    });
+  }
+  psbt
+    .addInput({
+      hash: commitTxId,
+      index: commitVout,
+      witnessUtxo: {
+        script: revealTaproot.output,
+        value: revealFee,
+      },
+      tapLeafScript: [{
+        leafVersion: 192, // Tapscript leaf version (0xc0)
+        script: revealTaproot.redeem.output, // Serialized Tapscript
+        controlBlock: revealTaproot.witness[revealTaproot.witness.length - 1], // Control block for script path
+      }],
+    })
+    .addOutputs(parentUtxos.map((parentUtxo) => ({
+      address: parentUtxo.address,
+      value: parentUtxo.value,
+    })))
+    .addOutputs(inscriptions.map((inscription) => ({
+      address: inscription.destination ?? inscriptionReceiveAddress,
+      value: inscription.postage,
+    })));
+  
+  if (sign) {
+    psbt.signInput(parentUtxos.length, revealKeyPair);
+    if (parentUtxos.length === 0) {
+      psbt.finalizeAllInputs();
+    } // otherwise the wallet holding the parents still has to sign, finalize after that
+  }
+  return psbt;
+}
+
+// each batch's reveal spends its own commit output, parents are passed along from one reveal to the next
+const getRevealTransactions = (batches, inscriptionReceiveAddress, revealKeyPair, commitTxId, revealFees, network, sign=true, parentUtxos=[]) => {
+  let revealPsbts = [];
+  let batchParentUtxos = parentUtxos;
+  batches.forEach((batch, i) => {
+    let psbt = getRevealTransaction(batch.inscriptions, inscriptionReceiveAddress, batch.revealTaproot, revealKeyPair, commitTxId, revealFees[i], network, sign, batchParentUtxos, i);
+    let revealTxId = psbt.__CACHE.__TX.getId(); // all inputs are segwit so the txid is known before signing
+    batchParentUtxos = batchParentUtxos.map((parentUtxo, vout) => ({ ...parentUtxo, txid: revealTxId, vout }));
+    revealPsbts.push(psbt);
+  });
+  return revealPsbts;
+}
+
+const getParentSigningIndexes = (parentUtxos) => {
+  return parentUtxos.map((parentUtxo, index) => ({
+    index,
+    address: parentUtxo.address
+  }));
+}
+
+const getRevealVSize = (inscriptions, inscriptionReceiveAddress, network, parentUtxos = [], refund = null) => {
+  let dummyKeyPair = generateKeyPair(NETWORKS[network].bitcoinjs);    
+  let revealTaproot = getRevealTaproot(inscriptions, toXOnly(dummyKeyPair.publicKey), network, toXOnly(dummyKeyPair.publicKey), parentUtxos, refund);
+  let total_postage = inscriptions.reduce((acc, inscription) => acc + inscription.postage, 0);
+  let dummyRevealTransaction = getRevealTransaction(inscriptions, inscriptionReceiveAddress, revealTaproot, dummyKeyPair, "0".repeat(64), total_postage, network, true);
+  let estRevealVSize = dummyRevealTransaction.extractTransaction().virtualSize();
+  // can't dummy sign the parent inputs, so add them on assuming taproot key path spends
+  estRevealVSize += parentUtxos.length * ((40 + 1 + 66/4) + 43);
+  return Math.ceil(estRevealVSize);
+}
+
+const MAX_STANDARD_TX_WEIGHT = 400000;
+
+const checkInscriptionDestinations = (inscriptions, network) => {
+  for (const inscription of inscriptions) {
+    if (inscription.destination === null) continue;
+    let destinationNetworks;
+    try {
+      destinationNetworks = getNetworksFromAddress(inscription.destination);
+    } catch {
+      throw new Error(`Invalid destination address ${inscription.destination}`);
+    }
+    if (!destinationNetworks.includes(network)) {
+      throw new Error(`Destination address ${inscription.destination} is not a ${network} address`);
+    }
+  }
+}
+
+// weight an inscription adds to a reveal: its envelope in the witness plus its output
+const getInscriptionRevealWeight = (inscription, inscriptionReceiveAddress, network) => {
+  let envelopeWeight = bitcoin.script.compile(inscription.getInscriptionScript()).length;
+  if (inscription.pointer === null) {
+    envelopeWeight += 6; // room for the pointer the reveal script may add, tag + push + 4 bytes
+  }
+  let outputScript = bitcoin.address.toOutputScript(inscription.destination ?? inscriptionReceiveAddress, NETWORKS[network].bitcoinjs);
+  let outputWeight = (8 + 1 + outputScript.length) * 4;
+  return envelopeWeight + outputWeight;
+}
+
+// split inscriptions into batches whose reveal transactions stay under the standardness weight limit
+const getRevealBatches = (inscriptions, inscriptionReceiveAddress, network, parentUtxos = [], refund = null) => {
+  // measure a reveal carrying an empty inscription, then take the inscription back out
+  let emptyInscription = new Inscription({});
+  let baseWeight = getRevealVSize([emptyInscription], inscriptionReceiveAddress, network, parentUtxos, refund) * 4
+    - getInscriptionRevealWeight(emptyInscription, inscriptionReceiveAddress, network)
+    + 8; // witness length varints can grow as the script does
+  let batches = [];
+  let batch = [];
+  let batchWeight = baseWeight;
+  for (const inscription of inscriptions) {
+    let inscriptionWeight = getInscriptionRevealWeight(inscription, inscriptionReceiveAddress, network);
+    if (batch.length > 0 && batchWeight + inscriptionWeight > MAX_STANDARD_TX_WEIGHT) {
+      batches.push(batch);
+      batch = [];
+      batchWeight = baseWeight;
+    }
+    batch.push(inscription);
+    batchWeight += inscriptionWeight;
+  }
+  if (batch.length > 0) {
+    batches.push(batch);
+  }
+
+  // estimates above are upper bounds, but check the real thing
+  for (const batch of batches) {
+    if (getRevealVSize(batch, inscriptionReceiveAddress, network, parentUtxos, refund) * 4 > MAX_STANDARD_TX_WEIGHT) {
+      throw new Error("Inscription too large to fit in a standard reveal transaction");
+    }
+  }
+  return batches;
+}
+
+// need to backup: revealTaproot, revealKeyPair, commitTxId, revealFee if wallet can key-path sign
+// need to backup entire signed tx for ephemeral key signing
+function getRevealSweepTransaction(receiveAddress, revealTaproot, revealKeyPair, commitTxId, revealFee, feeRate, network, sign = true, commitVout = 0) {
+  let headerSize = 10.5; //wcs for tx header
+  let inputSize = 40 + 1 + 66/4; //40 for header, 1 for witness, 66/4 for taproot input
+  let outputSize = 43; //43 is wcs for taproot output
+  let vSize = headerSize + inputSize + outputSize;
+  let sweepValue = revealFee - Math.ceil(feeRate * vSize);
+  if (sweepValue < 546) {
+    throw new Error(`Sweep output would be ${sweepValue} sats, below the 546 sat dust limit, use a lower fee rate`);
+  }
+
+  const psbt = new bitcoin.Psbt({ network: NETWORKS[network].bitcoinjs })
+    .addInput({
+      hash: commitTxId,
+      index: commitVout,
+      witnessUtxo: {
+        script: revealTaproot.output,
+        value: revealFee,
+      },
+      tapInternalKey: toXOnly(revealKeyPair.publicKey),
+      tapMerkleRoot: revealTaproot.hash,
+    })
+    .addOutput({
+      address: receiveAddress,
+      value: sweepValue,
+    });
+  
+  if (sign) {
+    const tweakedSigner = revealKeyPair.tweak(
+      bitcoin.crypto.taggedHash(
+        'TapTweak',
+        Buffer.concat([toXOnly(revealKeyPair.publicKey), revealTaproot.hash]),
+      ),
+    );
+    psbt.signInput(0, wrapECPairWithBufferPublicKey(tweakedSigner));
+    psbt.finalizeAllInputs();
+  }
+
+  return psbt;
+}
+
+// spends a commit output back to the user through the refund leaf, only valid once the
+// refund lock has passed since the commit confirmed. unsigned, the wallet signs input 0 via script path
+function getRefundTransaction(receiveAddress, revealTaproot, commitTxId, revealFee, feeRate, network, commitVout = 0) {
+  const refundTaproot = getRefundTaproot(revealTaproot, network);
+  const refundScript = refundTaproot.redeem.output;
+  const controlBlock = refundTaproot.witness[refundTaproot.witness.length - 1];
+
+  let headerSize = 10.5; //wcs for tx header
+  let witnessSize = 1 + 65 + (1 + refundScript.length) + (1 + controlBlock.length); //item count, signature, script, control block
+  let inputSize = 40 + 1 + witnessSize/4;
+  let outputSize = 43; //43 is wcs for taproot output
+  let vSize = headerSize + inputSize + outputSize;
+  let refundValue = revealFee - Math.ceil(feeRate * vSize);
+  if (refundValue < 546) {
+    throw new Error(`Refund output would be ${refundValue} sats, below the 546 sat dust limit, use a lower fee rate`);
+  }
+
+  const psbt = new bitcoin.Psbt({ network: NETWORKS[network].bitcoinjs })
+    .addInput({
+      hash: commitTxId,
+      index: commitVout,
+      sequence: getRefundLockBlocks(refundScript), // relative lock in blocks, tx version 2 is the psbt default
+      witnessUtxo: {
+        script: revealTaproot.output,
+        value: revealFee,
+      },
+      tapLeafScript: [{
+        leafVersion: 192,
+        script: refundScript,
+        controlBlock,
+      }],
+    })
+    .addOutput({
+      address: receiveAddress,
+      value: refundValue,
+    });
+
+  return psbt;
+}
+
+const appendUtxoEffectiveValues = (utxos, addressType, feeRate) => {
+  //https://bitcoin.stackexchange.com/questions/84004/how-do-virtual-size-stripped-size-and-raw-size-compare-between-legacy-address-f/84006#84006
+  if (addressType === 'P2TR') {
+    utxos.map(utxo => {
+      utxo.effectiveValue = utxo.value - feeRate * (40 + 1 + 66/4);
+    });
+  }
+  if (addressType === 'P2WPKH') {
+    utxos.map(utxo => {
+      utxo.effectiveValue = utxo.value - feeRate * (40 + 1 + 108/4);
+    });
+  }
+  if (addressType === 'P2SH-P2WPKH') {
+    utxos.map(utxo => {
+      utxo.effectiveValue = utxo.value - feeRate * (40 + 24 + 108/4);
+    });
+  }
+  if (addressType === 'P2PKH') {
+    utxos.map(utxo => {
+      utxo.effectiveValue = utxo.value - feeRate * (40 + 108);
+    });
+  }
+  return utxos;
+}
+
+const selectUtxos = (utxos, targetAmount) => {
+  utxos.sort((a, b) => a.effectiveValue - b.effectiveValue);
+  
+  // 1. Exact match
+  for (let i = 0; i < utxos.length; i++) {
+    if (utxos[i].effectiveValue === targetAmount) {
+      return [utxos[i]];
+    }
+  }
+  
+  // 2. Branch and Bound
+  let selectedUtxos = branchAndBound(utxos, targetAmount);
+  if (selectedUtxos) {
+    return selectedUtxos;
+  }
+
+  // 3. Accumulator Fallback
+  let selected = [];
+  let totalInput = 0;
+  for (let i = 0; i < utxos.length; i++) {
+    selected.push(utxos[i]);
+    totalInput += utxos[i].effectiveValue;
+    if (totalInput >= targetAmount) {
+      return selected;
+    }
+  }
+
+  throw new Error("Insufficient funds");
+}
+
+const branchAndBound = (utxos, targetAmount) => {
+  let bestSolution = null;
+  let minWaste = Infinity;
+
+  const explore = (remainingUtxos, selectedUtxos, currentSum, depth) => {
+    // Base case
+    if (currentSum >= targetAmount) {
+      let waste = currentSum - targetAmount;
+      if (waste < minWaste) {
+        bestSolution = selectedUtxos;
+        minWaste = waste;
+      }
+      return;
+    }
+    // Pruning: unreachable target
+    if (currentSum + remainingUtxos.reduce((acc, utxo) => acc + utxo.effectiveValue, 0) < targetAmount) {
+      return;
+    }
+    // Pruning: too deep
+    if (depth > remainingUtxos.length) {
+      return;
+    }
+    //Branch
+    for (let i = 0; i < remainingUtxos.length; i++) {
+      // moving across the tree - add one utxo to the selected utxos
+      // if target is hit, stop
+      // if target is not hit, move across the tree again and add another utxo
+      // repeat until target is hit
+      let newRemainingUtxos = remainingUtxos.slice(i + 1);
+      let newSelectedUtxos = selectedUtxos.concat(remainingUtxos[i]);
+      let newSum = currentSum + remainingUtxos[i].effectiveValue;
+      explore(newRemainingUtxos, newSelectedUtxos, newSum, depth + 1);
+    }
+  }
+  explore(utxos, [], 0, 0);
+  return bestSolution;
+}
+
+const getAddressType = (addressScript, publicKey) => {
+  if (isP2TR(addressScript)) {
+    return 'P2TR';
+  }
+  if (isP2WPKH(addressScript)) {
+    return 'P2WPKH';
+  }
+  if (isP2SHScript(addressScript)) {
+    // for nested segwit, we have:
+    // pubKey -> pubkeyhash -> pubkeyhashscript (witness program/p2pkh) -> pubkeyhashscripthash (witness program hash/scripthash) -> pubkeyhashscripthashscript (P2SH script)
+
+    // Parse the P2SH script (OP_HASH160 <scripthash> OP_EQUAL) to extract the witness program hash stored inside it
+    const p2sh = bitcoin.payments.p2sh({
+      output: addressScript,
+    })
+
+    // Create pubkeyhash from pubkey
+    const pubkeyHash = bitcoin.crypto.hash160(Buffer.from(publicKey, 'hex'))
+
+    // Create the witness program (OP_0 <pubkeyhash>) that would be wrapped inside P2SH for this pubkey
+    const p2wpkh = bitcoin.payments.p2wpkh({
+      hash: pubkeyHash,
+    })
+
+    // Check if:
+    // scripthash inside P2SH script (p2sh.hash) equals hash of witness program we generated (hash160(p2wpkh.output))
+    // If equal -> this P2SH script is wrapping the SegWit script for this pubkey
+    if (p2sh.hash.equals(bitcoin.crypto.hash160(p2wpkh.output))) {
+      return 'P2SH-P2WPKH'
+    } else {
+      throw new Error("Unsupported address type");
+    }
+  }
+  if (isP2PKH(addressScript)) {
+    return 'P2PKH';
+  }
+  throw new Error("Unsupported address type");
+}
+
+const SILENT_LOGGER = { log() {} };
+
+// bip125, payment inputs signal that their tx can be replaced at a higher fee, see speedUpCommit
+const RBF_SEQUENCE = 0xfffffffd;
+
+// what the inputs' witness utxos hold minus what the outputs pay
+const getPsbtFee = (psbt) => {
+  return psbt.data.inputs.reduce((acc, input) => acc + input.witnessUtxo.value, 0)
+    - psbt.txOutputs.reduce((acc, output) => acc + output.value, 0);
+}
+
+// backupStore: { saveBackup, updateBackup } like backups.js, jobs are written to it before the commit goes out.
+// without one nothing is backed up, so only leave it out where the caller keeps the reveals some other way.
+// feeRate pins the sats/vB instead of asking the provider. dryRun signs everything but broadcasts and backs up
+// nothing, inscribe then resolves to the raw commit and reveal hexes instead of their txids. provider and
+// ordApiUrl default to the network's, see networks.js. allowNoRefund lets the ephemeral key flows go ahead for
+// a wallet without a taproot address, whose commit then has no refund leaf if the reveal key is lost. logger
+// gets the fee estimates and the flow picked, pass console to see them
+class Inscriber {
+  constructor({ wallet, network, provider = NETWORKS[network].provider, backupStore = null, backupPassphrase = null, ordApiUrl = NETWORKS[network].ordApiUrl, feeRate = null, dryRun = false, allowNoRefund = false, logger = SILENT_LOGGER }) {
+    this.wallet = wallet;
+    this.network = network;
+    this.provider = provider;
+    this.backupStore = backupStore;
+    this.backupPassphrase = backupPassphrase;
+    this.ordApiUrl = ordApiUrl;
+    this.feeRate = feeRate;
+    this.dryRun = dryRun;
+    this.allowNoRefund = allowNoRefund;
+    this.logger = logger;
+  }
+
+  async getRecommendedFees() {
+    if (this.feeRate !== null) return this.feeRate;
+    let fees = await this.provider.getRecommendedFees();
+    let fastestFee = fees.fastestFee;
+    return fastestFee;
+  }
+
+  async getConfirmedCardinalUtxos(address) {
+    let utxosJson = await this.provider.getUtxos(address);
+    let confirmedUtxos = utxosJson.filter(utxo => utxo.status.confirmed == true);
+    confirmedUtxos = confirmedUtxos.filter(utxo => utxo.value > 1000);
+    if (this.network === 'testnet') {// allow unconfirmed utxos on testnet
+      confirmedUtxos = utxosJson.filter(utxo => utxo.value > 1000);
+    }
+
+    // without an ord server there's no telling inscribed utxos apart, they all count as cardinal
+    let confirmedCardinalUtxos = [];
+    if (this.ordApiUrl) {
+      let cardinalUtxosJson = await this.fetchOrdApi(`/outputs/${address}?type=cardinal`, `the cardinal outputs of ${address}`);
+      // filter confirmed utxos that are not in the cardinal list
+      confirmedCardinalUtxos = confirmedUtxos.filter(utxo => 
+        cardinalUtxosJson.some(cardinalUtxo => cardinalUtxo.outpoint === `${utxo.txid}:${utxo.vout}`)
+      )
+    } else {
+      confirmedCardinalUtxos = confirmedUtxos; 
+    }
+
+    return confirmedCardinalUtxos;
+  }
+
+  async getTxData(txId) {
+    return this.provider.getTxHex(txId);
+  }
+
+  // null if the chain backend has never seen the tx
+  async getTxStatus(txId) {
+    return this.provider.getTxStatus(txId);
+  }
+
+  async getOutspend(txId, vout) {
+    return this.provider.getOutspend(txId, vout);
+  }
+
+  async getTipHeight() {
+    return this.provider.getTipHeight();
+  }
+
+  async broadcastTx(txHex) {
+    return this.provider.broadcastTx(txHex);
+  }
+
+  // reveals go out in order, later ones can spend parents returned by earlier ones
+  async broadcastTxs(txs) {
+    let pushedTxs = [];
+    for (const tx of txs) {
+      pushedTxs.push(await this.broadcastTx(tx.toHex()));
+    }
+    return pushedTxs;
+  }
+
+  // every psbt the wallet signs comes back through here, finalized and checked against the one we built.
+  // the copy is taken first since some wallets (PrivateKeyWallet) sign the psbt they're given in place
+  async signPsbtWithWallet(psbt, signingIndexes) {
+    let unsignedPsbt = psbt.clone();
+    let signedPsbt = this.wallet.finalizePsbt(await this.wallet.signPsbt(psbt, signingIndexes));
+    verifySignedPsbt(unsignedPsbt, signedPsbt, { walletType: this.wallet.walletType });
+    return signedPsbt;
+  }
+
+  async signPsbtsWithWallet(psbts, signingIndexesArray) {
+    let unsignedPsbts = psbts.map(psbt => psbt.clone());
+    let signedPsbts = await this.wallet.signPsbts(psbts, signingIndexesArray);
+    if (signedPsbts.length !== psbts.length) {
+      throw new PsbtIntegrityError(`Expected ${psbts.length} signed transactions, got ${signedPsbts.length}`, { walletType: this.wallet.walletType });
+    }
+    signedPsbts.forEach((signedPsbt, i) => {
+      this.wallet.finalizePsbt(signedPsbt);
+      verifySignedPsbt(unsignedPsbts[i], signedPsbt, { walletType: this.wallet.walletType });
+    });
+    return signedPsbts;
+  }
+
+  // a wrong or unsynced ord server answers 404s or html, so errors say what was asked for and from where
+  async fetchOrdApi(path, description) {
+    let response = await fetch(`${this.ordApiUrl}${path}`, {
+      headers: {
+        'Accept': 'application/json',
+      }
+    });
+    if (!response.ok) {
+      throw new Error(`Ord request for ${description} at ${this.ordApiUrl} failed: ${response.status} ${response.statusText}`);
+    }
+    try {
+      return await response.json();
+    } catch {
+      throw new Error(`Ord server at ${this.ordApiUrl} sent no json for ${description}`);
+    }
+  }
+
+  async getInscriptionUtxo(inscriptionId) {
+    if (!this.ordApiUrl) {
+      throw new Error(`Inscription lookup needs an ord server, none is set for ${this.network}`);
+    }
+    let inscriptionJson = await this.fetchOrdApi(`/inscription/${inscriptionId}`, `inscription ${inscriptionId}`);
+    if (typeof inscriptionJson.satpoint !== 'string') {
+      throw new Error(`Ord server at ${this.ordApiUrl} gave no location for inscription ${inscriptionId}`);
+    }
+    let [txid, vout] = inscriptionJson.satpoint.split(':');
+    return {
+      txid,
+      vout: parseInt(vout),
+      value: inscriptionJson.value,
+      address: inscriptionJson.address
+    };
+  }
+
+  getWalletPublicKey(address) {
+    if (address === this.wallet.ordinalsAddress) return this.wallet.ordinalsPublicKey;
+    if (address === this.wallet.paymentAddress) return this.wallet.paymentPublicKey;
+    return null;
+  }
+
+  async getParentUtxos(inscriptions) {
+    let parentIds = [...new Set(inscriptions.flatMap(inscription => inscription.getParents()))];
+    let parentUtxos = [];
+    for (const parentId of parentIds) {
+      let parentUtxo = await this.getInscriptionUtxo(parentId);
+      let holderPublicKey = this.getWalletPublicKey(parentUtxo.address);
+      if (holderPublicKey === null) {
+        throw new Error(`Parent inscription ${parentId} is not held by the connected wallet`);
+      }
+      if (isP2TR(bitcoin.address.toOutputScript(parentUtxo.address, NETWORKS[this.network].bitcoinjs))) {
+        parentUtxo.tapInternalKey = toXOnly(Buffer.from(holderPublicKey, 'hex'));
+      }
+      // two parents can share an output, it only needs spending once
+      if (!parentUtxos.some(utxo => utxo.txid === parentUtxo.txid && utxo.vout === parentUtxo.vout)) {
+        parentUtxos.push(parentUtxo);
+      }
+    }
+    return parentUtxos;
+  }
+
+  async addPaymentInputs(psbt, utxos, paymentAddress, paymentPublicKey) {
+    const paymentAddressScript = bitcoin.address.toOutputScript(paymentAddress, NETWORKS[this.network].bitcoinjs);
+    const paymentAddressType = getAddressType(paymentAddressScript, paymentPublicKey);
+
+    for (let i = 0; i < utxos.length; i++) {
+      const utxo = utxos[i];
+
+      switch (paymentAddressType) {
+        case 'P2TR':
+          psbt.addInput({
+            hash: utxo.txid,
+            index: utxo.vout,
+            witnessUtxo: {
+              script: paymentAddressScript,
+              value: utxo.value
+            },
+            tapInternalKey: toXOnly(Buffer.from(paymentPublicKey, 'hex')),
+            sequence: RBF_SEQUENCE,
+          });
+          break;
+        case 'P2WPKH':
+          psbt.addInput({
+            hash: utxo.txid,
+            index: utxo.vout,
+            witnessUtxo: {
+              script: paymentAddressScript,
+              value: utxo.value
+            },
+            sequence: RBF_SEQUENCE,
+          });
+          break;
+        case 'P2SH-P2WPKH':
+          const p2wpkh = bitcoin.payments.p2wpkh({
+            pubkey: Buffer.from(paymentPublicKey, 'hex'),
+            network: NETWORKS[this.network].bitcoinjs
+          });
+          psbt.addInput({
+            hash: utxo.txid,
+            index: utxo.vout,
+            witnessUtxo: {
+              script: paymentAddressScript,
+              value: utxo.value
+            },
+            redeemScript: p2wpkh.output,
+            sequence: RBF_SEQUENCE,
+          });
+          break;
+        case 'P2PKH':
+          const prevTx = await this.getTxData(utxo.txid);
+          psbt.addInput({
+            hash: utxo.txid,
+            index: utxo.vout,
+            nonWitnessUtxo: Buffer.from(prevTx, 'hex'),
+            sequence: RBF_SEQUENCE,
+          });
+          break;
+        default:
+          throw new Error("Unsupported address type");
+      }
+    }
+    return psbt;
+  }
+
+  // batches: [{ inscriptions, revealTaproot, revealVSize }], the commit funds one reveal output per batch
+  async getCommitTransaction(batches, paymentAddress, paymentPublicKey) {
+    const paymentAddressScript = bitcoin.address.toOutputScript(paymentAddress, NETWORKS[this.network].bitcoinjs);
+    const paymentAddressType = getAddressType(paymentAddressScript, paymentPublicKey);
+    this.logger.log(paymentAddressType);
+
+    let feeRate = await this.getRecommendedFees();
+    let estimatedCommitFeeForHeaderAndOutputs = (10.5 + (batches.length + 1) * 43) * feeRate; //tx header 10.5 vBytes, reveal + change taproot outputs 43 vBytes each - input vB handled in selection
+    let estimatedRevealFees = batches.map(batch => {
+      let batch_postage = batch.inscriptions.reduce((acc, inscription) => acc + inscription.postage, 0);
+      return Math.ceil(batch.revealVSize * feeRate + batch_postage);
+    });
+    let estimatedRevealFee = estimatedRevealFees.reduce((acc, fee) => acc + fee, 0);
+
+    let utxos = await this.getConfirmedCardinalUtxos(paymentAddress);
+    let adjustedUtxos = appendUtxoEffectiveValues(utxos, paymentAddressType, feeRate); //adjust utxos values to account for fee for size of input
+    let selectedUtxos = selectUtxos(adjustedUtxos, estimatedRevealFee + estimatedCommitFeeForHeaderAndOutputs);
+    this.logger.log(selectedUtxos);
+
+    let estimatedCommitFeeForInputs = selectedUtxos.reduce((acc, utxo) => acc + utxo.value - utxo.effectiveValue, 0);
+    let estimatedCommitFee = Math.ceil(estimatedCommitFeeForHeaderAndOutputs + estimatedCommitFeeForInputs);
+    this.logger.log("Estimated commit fee: ", estimatedCommitFee, ". estimated commit vsize:", estimatedCommitFee / feeRate);
+    this.logger.log("Estimated commit input vsize: ", estimatedCommitFeeForInputs / feeRate, ". estimated commit output + header vsize:", estimatedCommitFeeForHeaderAndOutputs / feeRate);
+    this.logger.log("Estimated reveal fee: ", estimatedRevealFee);
+    let estimatedInscriptionFee = estimatedCommitFee + estimatedRevealFee;
+
+    const psbt = new bitcoin.Psbt({ network: NETWORKS[this.network].bitcoinjs });
+    
+    // 1. inputs
+    await this.addPaymentInputs(psbt, selectedUtxos, paymentAddress, paymentPublicKey);
+
+    //2. outputs
+    batches.forEach((batch, i) => {
+      psbt.addOutput({
+        address: batch.revealTaproot.address,
+        value: estimatedRevealFees[i]
+      });
+    });
+
+    let change = selectedUtxos.reduce((acc, utxo) => acc + utxo.value, 0) - estimatedInscriptionFee;
+    if (change >= 546) {
+      psbt.addOutput({
+        address: paymentAddress,
+        value: change
+      });
+    }
+
+    return [psbt, estimatedRevealFees];
+
+  }
+
+  // picks the flow the connected wallet can sign for, see Wallet.getInscriptionCreationMethod
+  async inscribe(inscriptions) {
+    checkInscriptionDestinations(inscriptions, this.network);
+
+    let creationMethod = this.wallet.getInscriptionCreationMethod();
+    if (creationMethod === 'ephemeral') {
+      //using ephemeral key
+      this.logger.log("Using ephemeral key for script and key path");
+      return this.createInscriptionsWithEphemeralKey(inscriptions, false);
+    }
+    if (creationMethod === 'ephemeral_with_wallet_key_path') {
+      //using ephemeral key for script path, wallet for key path
+      this.logger.log("Using ephemeral key for script path, wallet for key path");
+      return this.createInscriptionsWithEphemeralKey(inscriptions, true);
+    }
+    if (creationMethod === 'wallet_one_sign') {
+      //using wallet internal key
+      this.logger.log("Using internal key");
+      return this.createInscriptionsWithTweakedKey(inscriptions);
+    }
+    if (creationMethod === 'wallet_two_sign') {
+      //using wallet internal key with two txs
+      this.logger.log("Using internal key with two txs");
+      return this.createInscriptionsWithTweakedKeyTwoSign(inscriptions);
+    }
+    throw new Error(`Unsupported inscription creation method ${creationMethod}`);
+  }
+
+  async createInscriptionsWithTweakedKey(inscriptions) {
+    // 1. get inscription tapscripts, one per reveal transaction
+    let parentUtxos = await this.getParentUtxos(inscriptions);
+    let walletTaproot = this.wallet.getTaproot(this.wallet, this.network);
+    let revealKeyPair = {
+      publicKey: walletTaproot.internalPubkey,
+    }
+    let batches = getRevealBatches(inscriptions, this.wallet.ordinalsAddress, this.network, parentUtxos).map(batchInscriptions => ({
+      inscriptions: batchInscriptions,
+      revealTaproot: getRevealTaproot(batchInscriptions, revealKeyPair.publicKey, this.network, revealKeyPair.publicKey, parentUtxos),
+      // 2. get estimated reveal vsize to work out how much commit tx should send to each reveal address
+      revealVSize: getRevealVSize(batchInscriptions, this.wallet.ordinalsAddress, this.network, parentUtxos),
+    }));
+
+    // 3. get commit transaction
+    let [ commitPsbt, estimatedRevealFees ]= await this.getCommitTransaction(batches, this.wallet.paymentAddress, this.wallet.paymentPublicKey);
+    let tempCommitTx = commitPsbt.__CACHE.__TX;
+    let toSignCommitInputs = commitPsbt.data.inputs.map((input, index) => {
+      return {
+        index,
+        address: this.wallet.paymentAddress
+      }
+    });
+
+    // 4. get reveal transactions
+    let unsignedRevealPsbts = getRevealTransactions(batches, this.wallet.ordinalsAddress, revealKeyPair, tempCommitTx.getId(), estimatedRevealFees, this.network, false, parentUtxos);
+    let toSignRevealInputs = [
+      ...getParentSigningIndexes(parentUtxos),
+      { index: parentUtxos.length, address: walletTaproot.address, useTweakSigner: false, useTweakedSigner: false }
+    ];
+    
+    // 5. sign all transactions
+    let [signedCommitPsbt, ...signedRevealPsbts] = await this.signPsbtsWithWallet(
+      [commitPsbt, ...unsignedRevealPsbts],
+      [toSignCommitInputs, ...unsignedRevealPsbts.map(() => toSignRevealInputs)]
+    );
+
+    // 6. back up, then broadcast transactions
+    let commitTx = signedCommitPsbt.extractTransaction();
+    let revealTxs = signedRevealPsbts.map(psbt => psbt.extractTransaction());
+    revealTxs.forEach((revealTx, i) => verifyRevealInscriptions(revealTx, batches[i].inscriptions));
+    await this.backupInscriptionJob('wallet_one_sign', commitTx, batches, estimatedRevealFees, signedRevealPsbts);
+    return this.broadcastInscriptionJob(commitTx, revealTxs);
+  }
+
+  async createInscriptionsWithTweakedKeyTwoSign(inscriptions) {
+    // 1. get inscription tapscripts, one per reveal transaction
+    let parentUtxos = await this.getParentUtxos(inscriptions);
+    let walletTaproot = this.wallet.getTaproot(this.wallet, this.network);
+    let revealKeyPair = {
+      publicKey: walletTaproot.internalPubkey,
+    }
+    let batches = getRevealBatches(inscriptions, this.wallet.ordinalsAddress, this.network, parentUtxos).map(batchInscriptions => ({
+      inscriptions: batchInscriptions,
+      revealTaproot: getRevealTaproot(batchInscriptions, revealKeyPair.publicKey, this.network, revealKeyPair.publicKey, parentUtxos),
+      // 2. get estimated reveal vsize to work out how much commit tx should send to each reveal address
+      revealVSize: getRevealVSize(batchInscriptions, this.wallet.ordinalsAddress, this.network, parentUtxos),
+    }));
+    
+    // 3. get & sign commit transaction
+    let [commitPsbt, estimatedRevealFees ]= await this.getCommitTransaction(batches, this.wallet.paymentAddress, this.wallet.paymentPublicKey);
+    let toSignCommitInputs = commitPsbt.data.inputs.map((input, index) => {
+      return {
+        index,
+        address: this.wallet.paymentAddress
+      }
+    });
+    let signedCommitPsbt = await this.signPsbtWithWallet(commitPsbt, toSignCommitInputs);
+    let commitTx = signedCommitPsbt.extractTransaction();
+
+    // 4. get and sign reveal transactions
+    let unsignedRevealPsbts = getRevealTransactions(batches, this.wallet.ordinalsAddress, revealKeyPair, commitTx.getId(), estimatedRevealFees, this.network, false, parentUtxos);
+    let toSignRevealInputs = [
+      ...getParentSigningIndexes(parentUtxos),
+      { index: parentUtxos.length, address: walletTaproot.address, useTweakSigner: false, useTweakedSigner: false }
+    ];
+    let signedRevealPsbts = await this.signPsbtsWithWallet(unsignedRevealPsbts, unsignedRevealPsbts.map(() => toSignRevealInputs));
+    let revealTxs = signedRevealPsbts.map(psbt => psbt.extractTransaction());
+    revealTxs.forEach((revealTx, i) => verifyRevealInscriptions(revealTx, batches[i].inscriptions));
+
+    //5. back up, then broadcast transactions
+    await this.backupInscriptionJob('wallet_two_sign', commitTx, batches, estimatedRevealFees, signedRevealPsbts);
+    return this.broadcastInscriptionJob(commitTx, revealTxs);
+  }
+
+  async createInscriptionsWithEphemeralKey(inscriptions, useWalletForKeyPath=false) {
+    if (this.backupStore !== null && !this.backupPassphrase) {
+      throw new Error('Enter a backup passphrase first, it encrypts the reveal key backup');
+    }
+    // if the ephemeral key is lost before the reveal, the wallet's taproot key can refund the commit after the lock.
+    // that's the ordinals key, or the payment key when only that one is taproot: wallets sign a script path
+    // with their taproot key only, so a p2wpkh/p2sh payment key can't be used. the refund still pays out to the
+    // payment address. the wallet signed flows don't need one since the wallet's key is already on the
+    // inscription leaf
+    let walletTaproot = this.wallet.getTaproot(this.wallet, this.network);
+    if (!walletTaproot && !this.allowNoRefund) {
+      throw new Error(`${this.wallet.walletType} has no taproot address to refund the commit with if the reveal key is lost, allow inscribing without a refund path to go ahead`);
+    }
+
+    // 1. get inscription tapscript
+    let parentUtxos = await this.getParentUtxos(inscriptions);
+    let ephemeralKeyPair = generateKeyPair(NETWORKS[this.network].bitcoinjs);
+
+    let scriptPathPublicKey = toXOnly(ephemeralKeyPair.publicKey);
+    let keyPathInternalKey = scriptPathPublicKey;
+    if (useWalletForKeyPath) {
+      keyPathInternalKey = this.wallet.getTaproot(this.wallet, this.network).internalPubkey;
+    }
+    let refund = walletTaproot ? { publicKey: walletTaproot.internalPubkey, lockBlocks: REFUND_LOCK_BLOCKS } : null;
+    let batches = getRevealBatches(inscriptions, this.wallet.ordinalsAddress, this.network, parentUtxos, refund).map(batchInscriptions => ({
+      inscriptions: batchInscriptions,
+      revealTaproot: getRevealTaproot(batchInscriptions, scriptPathPublicKey, this.network, keyPathInternalKey, parentUtxos, refund),
+      // 2. get estimated reveal vsize to work out how much commit tx should send to each reveal address
+      revealVSize: getRevealVSize(batchInscriptions, this.wallet.ordinalsAddress, this.network, parentUtxos, refund),
+    }));
+
+    // 3. get & sign commit transaction
+    let [commitPsbt, estimatedRevealFees ]= await this.getCommitTransaction(batches, this.wallet.paymentAddress, this.wallet.paymentPublicKey);
+    let signedCommitPsbt = await this.signPsbtWithWallet(commitPsbt);
+    let commitTx = signedCommitPsbt.extractTransaction();
+    let commitTxId = commitTx.getId();
+
+    //4. get signed reveal transactions, the wallet signs for the parents
+    let signedRevealPsbts = getRevealTransactions(batches, this.wallet.ordinalsAddress, ephemeralKeyPair, commitTxId, estimatedRevealFees, this.network, true, parentUtxos);
+    if (parentUtxos.length > 0) {
+      signedRevealPsbts = await this.signPsbtsWithWallet(signedRevealPsbts, signedRevealPsbts.map(() => getParentSigningIndexes(parentUtxos)));
+    }
+    let revealTxs = signedRevealPsbts.map(psbt => psbt.extractTransaction());
+    revealTxs.forEach((revealTx, i) => verifyRevealInscriptions(revealTx, batches[i].inscriptions));
+
+    //5. back up, then broadcast transactions
+    let creationMethod = useWalletForKeyPath ? 'ephemeral_with_wallet_key_path' : 'ephemeral';
+    await this.backupInscriptionJob(creationMethod, commitTx, batches, estimatedRevealFees, signedRevealPsbts, ephemeralKeyPair);
+    return this.broadcastInscriptionJob(commitTx, revealTxs);
+  }
+
+  // must complete before the commit is broadcast, it is all we have to recover the funds if the reveal doesn't go out
+  async backupInscriptionJob(creationMethod, commitTx, batches, revealFees, revealPsbts, ephemeralKeyPair = null) {
+    if (this.backupStore === null || this.dryRun) return;
+    let backup = await createBackup({
+      network: this.network,
+      creationMethod,
+      paymentAddress: this.wallet.paymentAddress,
+      ordinalsAddress: this.wallet.ordinalsAddress,
+      commitTx,
+      reveals: batches.map((batch, i) => ({
+        commitVout: i,
+        revealFee: revealFees[i],
+        revealTaproot: batch.revealTaproot,
+        revealPsbt: revealPsbts[i],
+      })),
+      ephemeralKeyPair,
+      passphrase: this.backupPassphrase,
+    });
+    await this.backupStore.saveBackup(backup);
+  }
+
+  async broadcastInscriptionJob(commitTx, revealTxs) {
+    if (this.dryRun) return [commitTx.toHex(), revealTxs.map(revealTx => revealTx.toHex())];
+    let pushedCommitTx = await this.broadcastTx(commitTx.toHex());
+    await this.updateBackup(commitTx.getId(), { status: 'commit_broadcast' });
+    let pushedRevealTxs = await this.broadcastTxs(revealTxs);
+    await this.updateBackup(commitTx.getId(), { status: 'revealed' });
+    return [pushedCommitTx, pushedRevealTxs];
+  }
+
+  // a reveal is stuck until a confirmed tx spends its commit output, whether that's the reveal, a sweep or a refund
+  async findStuckReveals(backups) {
+    let stuckReveals = [];
+    for (let backup of backups.filter(backup => backup.network === this.network)) {
+      let commitStatus = await this.getTxStatus(backup.commitTxId);
+      // a speed up the node never took, or that lost to the commit it replaced: go back to the one the chain has
+      if (commitStatus === null) {
+        for (const commit of [backup.pendingCommit, ...(backup.replacedCommits ?? []).slice().reverse()].filter(Boolean)) {
+          let status = await this.getTxStatus(commit.commitTxId);
+          if (status === null) continue;
+          backup = await this.switchBackupCommit(backup, commit);
+          commitStatus = status;
+          break;
+        }
+      }
+      for (let revealIndex = 0; revealIndex < backup.reveals.length; revealIndex++) {
+        let backupReveal = backup.reveals[revealIndex];
+        let outspend = commitStatus === null ? { spent: false } : await this.getOutspend(backup.commitTxId, backupReveal.commitVout);
+        if (outspend.spent && outspend.status.confirmed) continue;
+        let refundHeight = null;
+        if (backupReveal.leafScripts.length > 1 && commitStatus?.confirmed) {
+          refundHeight = commitStatus.block_height + getRefundLockBlocks(Buffer.from(backupReveal.leafScripts[1], 'hex'));
+        }
+        stuckReveals.push({
+          backup,
+          revealIndex,
+          commitStatus,
+          spendingTxId: outspend.spent ? outspend.txid : null,
+          refundHeight,
+        });
+      }
+    }
+    return stuckReveals;
+  }
+
+  // anything the wallet signs for has to come from the wallet that made the job
+  checkRecoveryWallet(backup) {
+    if (!this.wallet) throw new Error('Connect the wallet that created this inscription job first');
+    if (this.wallet.paymentAddress !== backup.paymentAddress) {
+      throw new Error(`Connected wallet doesn't match this job's payment address ${backup.paymentAddress}`);
+    }
+  }
+
+  async updateBackup(id, changes) {
+    if (this.backupStore === null) return null;
+    return this.backupStore.updateBackup(id, changes);
+  }
+
+  // makes commit ({ commitTxId, commitTxHex, reveals, replacedRevealTxIds }) the job's active one, the commit it
+  // takes over from is kept in replacedCommits. returns the updated backup
+  async switchBackupCommit(backup, commit) {
+    let changes = {
+      ...commit,
+      replacedCommits: [
+        ...(backup.replacedCommits ?? []).filter(replaced => replaced.commitTxId !== commit.commitTxId),
+        {
+          commitTxId: backup.commitTxId,
+          commitTxHex: backup.commitTxHex,
+          reveals: backup.reveals,
+          replacedRevealTxIds: backup.replacedRevealTxIds ?? {},
+        },
+      ],
+      pendingCommit: null,
+    };
+    await this.updateBackup(backup.id, changes);
+    return { ...backup, ...changes };
+  }
+
+  async updateBackupReveal(backup, revealIndex, changes) {
+    let reveals = backup.reveals.map((backupReveal, i) => i === revealIndex ? { ...backupReveal, ...changes } : backupReveal);
+    return this.updateBackup(backup.id, { reveals });
+  }
+
+  async getBackupKeyPair(backup) {
+    let privateKey = await getBackupEphemeralKey(backup, this.backupPassphrase);
+    return wrapECPairWithBufferPublicKey(ECPair.fromPrivateKey(privateKey, { network: NETWORKS[this.network].bitcoinjs }));
+  }
+
+  async rebroadcastReveal({ backup, revealIndex, commitStatus }) {
+    if (commitStatus === null) {
+      await this.broadcastTx(backup.commitTxHex);
+      await this.updateBackup(backup.id, { status: 'commit_broadcast' });
+    }
+    let revealPsbt = bitcoin.Psbt.fromBase64(backup.reveals[revealIndex].revealPsbt, { network: NETWORKS[this.network].bitcoinjs });
+    return this.broadcastTx(revealPsbt.extractTransaction().toHex());
+  }
+
+  // an unsigned copy of the saved reveal spending commitTxId. parents chain through earlier reveals, which may
+  // have been rebuilt under a new txid. toSignInputs are the parents, for the wallet to sign
+  getUnsignedReveal(backup, revealIndex, commitTxId = backup.commitTxId, replacedTxIds = backup.replacedRevealTxIds ?? {}) {
+    let backupReveal = backup.reveals[revealIndex];
+    let revealTaproot = getBackupRevealTaproot(backupReveal, this.network);
+    let savedPsbt = bitcoin.Psbt.fromBase64(backupReveal.revealPsbt, { network: NETWORKS[this.network].bitcoinjs });
+
+    const psbt = new bitcoin.Psbt({ network: NETWORKS[this.network].bitcoinjs });
+    let revealInputIndex = null;
+    let toSignInputs = [];
+    savedPsbt.txInputs.forEach((input, index) => {
+      let txid = Buffer.from(input.hash).reverse().toString('hex');
+      let witnessUtxo = savedPsbt.data.inputs[index].witnessUtxo;
+      if (txid === backup.commitTxId && input.index === backupReveal.commitVout) {
+        revealInputIndex = index;
+        psbt.addInput({
+          hash: commitTxId,
+          index: input.index,
+          witnessUtxo,
+          tapLeafScript: [{
+            leafVersion: 192,
+            script: revealTaproot.redeem.output,
+            controlBlock: revealTaproot.witness[revealTaproot.witness.length - 1],
+          }],
+        });
+        return;
+      }
+      let parentAddress = bitcoin.address.fromOutputScript(witnessUtxo.script, NETWORKS[this.network].bitcoinjs);
+      let holderPublicKey = this.getWalletPublicKey(parentAddress);
+      if (holderPublicKey === null) {
+        throw new Error(`Parent output ${parentAddress} is not held by the connected wallet`);
+      }
+      psbt.addInput({
+        hash: replacedTxIds[txid] ?? txid,
+        index: input.index,
+        witnessUtxo,
+        ...(isP2TR(witnessUtxo.script) && { tapInternalKey: toXOnly(Buffer.from(holderPublicKey, 'hex')) }),
+      });
+      toSignInputs.push({ index, address: parentAddress });
+    });
+    savedPsbt.txOutputs.forEach(output => psbt.addOutput({ script: output.script, value: output.value }));
+    return { psbt, savedPsbt, revealTaproot, revealInputIndex, toSignInputs };
+  }
+
+  // the commit output goes to the ephemeral key we backed up or, for the wallet flows, to the wallet's taproot key
+  async signRevealInput(backup, psbt, revealInputIndex, toSignInputs) {
+    if (backup.creationMethod === 'ephemeral' || backup.creationMethod === 'ephemeral_with_wallet_key_path') {
+      psbt.signInput(revealInputIndex, await this.getBackupKeyPair(backup));
+    } else {
+      toSignInputs.push({ index: revealInputIndex, address: this.wallet.getTaproot(this.wallet, this.network).address, useTweakSigner: false, useTweakedSigner: false });
+    }
+  }
+
+  // the saved reveal's inputs and outputs are kept as they are, payment inputs and change go after them
+  // so the inscription pointers don't move. the extra inputs also make it a valid replacement for the old reveal
+  async rebuildReveal({ backup, revealIndex }, feeRate) {
+    this.checkRecoveryWallet(backup);
+    let backupReveal = backup.reveals[revealIndex];
+    let replacedTxIds = backup.replacedRevealTxIds ?? {};
+    let { psbt, savedPsbt, revealTaproot, revealInputIndex, toSignInputs } = this.getUnsignedReveal(backup, revealIndex);
+    let savedRevealTx = savedPsbt.extractTransaction(true);
+
+    // fund the difference between what the reveal pays now and what it should pay, plus a change output
+    let currentFee = getPsbtFee(savedPsbt);
+    let targetFee = Math.ceil((savedRevealTx.virtualSize() + 43) * feeRate); //43 vBytes for the change output, input vB handled in selection
+    if (currentFee >= savedRevealTx.virtualSize() * feeRate) {
+      throw new Error('Saved reveal already pays this fee rate, rebroadcast it instead');
+    }
+    const paymentAddressScript = bitcoin.address.toOutputScript(this.wallet.paymentAddress, NETWORKS[this.network].bitcoinjs);
+    let utxos = await this.getConfirmedCardinalUtxos(this.wallet.paymentAddress);
+    let adjustedUtxos = appendUtxoEffectiveValues(utxos, getAddressType(paymentAddressScript, this.wallet.paymentPublicKey), feeRate);
+    let selectedUtxos = selectUtxos(adjustedUtxos, targetFee - currentFee + 546);
+    await this.addPaymentInputs(psbt, selectedUtxos, this.wallet.paymentAddress, this.wallet.paymentPublicKey);
+    selectedUtxos.forEach((utxo, i) => toSignInputs.push({ index: savedPsbt.txInputs.length + i, address: this.wallet.paymentAddress }));
+    let change = selectedUtxos.reduce((acc, utxo) => acc + utxo.effectiveValue, 0) - (targetFee - currentFee);
+    psbt.addOutput({
+      address: this.wallet.paymentAddress,
+      value: Math.floor(change)
+    });
+
+    await this.signRevealInput(backup, psbt, revealInputIndex, toSignInputs);
+    let signedPsbt = await this.signPsbtWithWallet(psbt, toSignInputs);
+    let revealTx = signedPsbt.extractTransaction();
+    // the backed up leaf holds the envelope the user asked for
+    verifyRevealInscriptions(revealTx, decodeInscriptions(revealTaproot.witness));
+
+    let pushedRevealTx = await this.broadcastTx(revealTx.toHex());
+    await this.updateBackupReveal(backup, revealIndex, { revealPsbt: signedPsbt.toBase64(), revealTxId: revealTx.getId() });
+    await this.updateBackup(backup.id, { replacedRevealTxIds: { ...replacedTxIds, [backupReveal.revealTxId]: revealTx.getId() } });
+    return pushedRevealTx;
+  }
+
+  // replaces an unconfirmed commit with one paying feeRate: the same inputs and reveal outputs, the fee comes out of
+  // the change or extra payment inputs. the reveals spend the commit by txid, so they're all rebuilt against the
+  // new one and go out with it. the backup keeps its id, the old commit and reveals move to its replacedCommits
+  async speedUpCommit({ backup, commitStatus }, feeRate) {
+    this.checkRecoveryWallet(backup);
+    if (commitStatus?.confirmed) {
+      throw new Error('Commit is already confirmed, rebuild the reveal instead');
+    }
+    const bitcoinjsNetwork = NETWORKS[this.network].bitcoinjs;
+    const paymentAddressScript = bitcoin.address.toOutputScript(this.wallet.paymentAddress, bitcoinjsNetwork);
+    let oldCommitTx = bitcoin.Transaction.fromHex(backup.commitTxHex);
+    let revealOutputs = oldCommitTx.outs.slice(0, backup.reveals.length);
+    let oldChange = oldCommitTx.outs[backup.reveals.length]?.value ?? 0;
+
+    // 1. the old commit's inputs, a replacement has to conflict with it
+    let utxos = [];
+    for (const input of oldCommitTx.ins) {
+      let txid = Buffer.from(input.hash).reverse().toString('hex');
+      let prevout = bitcoin.Transaction.fromHex(await this.getTxData(txid)).outs[input.index];
+      if (!prevout.script.equals(paymentAddressScript)) {
+        throw new Error(`Commit input ${txid}:${input.index} isn't from the payment address`);
+      }
+      utxos.push({ txid, vout: input.index, value: prevout.value });
+    }
+    let oldFee = utxos.reduce((acc, utxo) => acc + utxo.value, 0) - oldCommitTx.outs.reduce((acc, output) => acc + output.value, 0);
+    let commitVSize = oldCommitTx.virtualSize();
+    if (oldFee >= commitVSize * feeRate) {
+      throw new Error('Commit already pays this fee rate, rebroadcast it instead');
+    }
+
+    // 2. bip125 also wants more fee than everything the replacement evicts, the old commit and its reveals in the
+    // mempool, plus its own size at the 1 sat/vB relay fee
+    let evictedFee = oldFee;
+    if (commitStatus !== null) {
+      for (const backupReveal of backup.reveals) {
+        let outspend = await this.getOutspend(backup.commitTxId, backupReveal.commitVout);
+        if (!outspend.spent) continue;
+        // a backend that can't name the spender gets the reveal assumed, the node turns the replacement down if
+        // it was something paying more
+        if (outspend.txid !== null && outspend.txid !== backupReveal.revealTxId) {
+          throw new Error(`Commit output ${backupReveal.commitVout} is spent by ${outspend.txid}, not by this job's reveal`);
+        }
+        evictedFee += getPsbtFee(bitcoin.Psbt.fromBase64(backupReveal.revealPsbt, { network: bitcoinjsNetwork }));
+      }
+    }
+    const getTargetFee = (vsize) => Math.max(Math.ceil(vsize * feeRate), evictedFee + Math.ceil(vsize));
+
+    const psbt = new bitcoin.Psbt({ network: bitcoinjsNetwork });
+    psbt.setVersion(oldCommitTx.version);
+    psbt.setLocktime(oldCommitTx.locktime);
+    await this.addPaymentInputs(psbt, utxos, this.wallet.paymentAddress, this.wallet.paymentPublicKey);
+    revealOutputs.forEach(output => psbt.addOutput({ script: output.script, value: output.value }));
+
+    // 3. take the extra fee from the change, or add payment inputs (and a change output if there was none)
+    let targetFee = getTargetFee(commitVSize);
+    let change = oldChange - (targetFee - oldFee);
+    if (change < 546) {
+      targetFee = getTargetFee(commitVSize + (oldChange > 0 ? 0 : 43)); //43 vBytes for the change output, input vB handled in selection
+      // the old commit's outputs and reveals go with it
+      let replacedTxIds = [backup.commitTxId, ...backup.reveals.map(backupReveal => backupReveal.revealTxId)];
+      let spentOutpoints = utxos.map(utxo => `${utxo.txid}:${utxo.vout}`);
+      let availableUtxos = (await this.getConfirmedCardinalUtxos(this.wallet.paymentAddress))
+        .filter(utxo => !replacedTxIds.includes(utxo.txid) && !spentOutpoints.includes(`${utxo.txid}:${utxo.vout}`));
+      let adjustedUtxos = appendUtxoEffectiveValues(availableUtxos, getAddressType(paymentAddressScript, this.wallet.paymentPublicKey), feeRate);
+      let selectedUtxos = selectUtxos(adjustedUtxos, targetFee - oldFee - oldChange + 546);
+      await this.addPaymentInputs(psbt, selectedUtxos, this.wallet.paymentAddress, this.wallet.paymentPublicKey);
+      change = oldChange + selectedUtxos.reduce((acc, utxo) => acc + utxo.effectiveValue, 0) - (targetFee - oldFee);
+    }
+    psbt.addOutput({
+      address: this.wallet.paymentAddress,
+      value: Math.floor(change)
+    });
+
+    // 4. sign the commit first, nested segwit and legacy inputs only get their final txid once signed
+    let signedCommitPsbt = await this.signPsbtWithWallet(psbt, psbt.data.inputs.map((input, index) => ({ index, address: this.wallet.paymentAddress })));
+    let commitTx = signedCommitPsbt.extractTransaction();
+
+    // 5. rebuild the reveals against it, in order so later ones can spend parents returned by earlier ones
+    let replacedRevealTxIds = { ...(backup.replacedRevealTxIds ?? {}) };
+    let revealPsbts = [];
+    let toSignRevealInputs = [];
+    let revealTaproots = [];
+    for (let revealIndex = 0; revealIndex < backup.reveals.length; revealIndex++) {
+      let { psbt: revealPsbt, revealTaproot, revealInputIndex, toSignInputs } = this.getUnsignedReveal(backup, revealIndex, commitTx.getId(), replacedRevealTxIds);
+      await this.signRevealInput(backup, revealPsbt, revealInputIndex, toSignInputs);
+      replacedRevealTxIds[backup.reveals[revealIndex].revealTxId] = revealPsbt.__CACHE.__TX.getId();
+      revealPsbts.push(revealPsbt);
+      toSignRevealInputs.push(toSignInputs);
+      revealTaproots.push(revealTaproot);
+    }
+    // ephemeral reveals without parents are already signed, the wallet gets the rest in one go
+    let walletRevealIndexes = toSignRevealInputs.flatMap((toSignInputs, i) => toSignInputs.length > 0 ? [i] : []);
+    if (walletRevealIndexes.length > 0) {
+      let signedRevealPsbts = await this.signPsbtsWithWallet(
+        walletRevealIndexes.map(i => revealPsbts[i]),
+        walletRevealIndexes.map(i => toSignRevealInputs[i])
+      );
+      walletRevealIndexes.forEach((revealIndex, i) => revealPsbts[revealIndex] = signedRevealPsbts[i]);
+    }
+    revealPsbts.forEach(revealPsbt => revealPsbt.data.inputs.forEach((input, index) => {
+      if (!input.finalScriptWitness) revealPsbt.finalizeInput(index);
+    }));
+    let revealTxs = revealPsbts.map(revealPsbt => revealPsbt.extractTransaction());
+    // the backed up leaf holds the envelope the user asked for
+    revealTxs.forEach((revealTx, i) => verifyRevealInscriptions(revealTx, decodeInscriptions(revealTaproots[i].witness)));
+
+    // 6. back up the replacement next to the commit it replaces, it only takes over once the node accepts it.
+    // either one may still confirm, findStuckReveals switches back if the old one does
+    if (this.dryRun) return [commitTx.toHex(), revealTxs.map(revealTx => revealTx.toHex())];
+    let replacement = {
+      commitTxId: commitTx.getId(),
+      commitTxHex: commitTx.toHex(),
+      reveals: backup.reveals.map((backupReveal, i) => ({ ...backupReveal, revealPsbt: revealPsbts[i].toBase64(), revealTxId: revealTxs[i].getId() })),
+      replacedRevealTxIds,
+    };
+    await this.updateBackup(backup.id, { pendingCommit: replacement });
+    let pushedCommitTx;
+    try {
+      pushedCommitTx = await this.broadcastTx(commitTx.toHex());
+    } catch (error) {
+      await this.updateBackup(backup.id, { pendingCommit: null });
+      throw error;
+    }
+    await this.switchBackupCommit(backup, replacement);
+    await this.updateBackup(backup.id, { status: 'commit_broadcast' });
+    let pushedRevealTxs = await this.broadcastTxs(revealTxs);
+    await this.updateBackup(backup.id, { status: 'revealed' });
+    return [pushedCommitTx, pushedRevealTxs];
+  }
+
+  // gives up on the inscriptions and sends the commit output back to the payment address via the key path
+  async sweepCommitOutput({ backup, revealIndex }, feeRate) {
+    let backupReveal = backup.reveals[revealIndex];
+    let revealTaproot = getBackupRevealTaproot(backupReveal, this.network);
+    let sweepPsbt;
+    if (backup.creationMethod === 'ephemeral') {
+      let keyPair = await this.getBackupKeyPair(backup);
+      sweepPsbt = getRevealSweepTransaction(backup.paymentAddress, revealTaproot, keyPair, backup.commitTxId, backupReveal.revealFee, feeRate, this.network, true, backupReveal.commitVout);
+    } else {
+      // the key path belongs to the wallet's taproot key
+      this.checkRecoveryWallet(backup);
+      if (!this.wallet.supportsKeyPathSigning) {
+        throw new Error(`${this.wallet.walletType} can't sign for the key path, use the refund once the lock has passed`);
+      }
+      let walletKeyPair = {
+        publicKey: revealTaproot.internalPubkey,
+      }
+      sweepPsbt = getRevealSweepTransaction(backup.paymentAddress, revealTaproot, walletKeyPair, backup.commitTxId, backupReveal.revealFee, feeRate, this.network, false, backupReveal.commitVout);
+      sweepPsbt = await this.signPsbtWithWallet(sweepPsbt, [{ index: 0, address: this.wallet.getTaproot(this.wallet, this.network).address }]);
+    }
+    let sweepTx = sweepPsbt.extractTransaction();
+    let pushedSweepTx = await this.broadcastTx(sweepTx.toHex());
+    await this.updateBackupReveal(backup, revealIndex, { recoveryTxId: sweepTx.getId() });
+    return pushedSweepTx;
+  }
+
+  // signed by the wallet's taproot key that went into the refund leaf, paid to the payment address
+  async refundCommitOutput({ backup, revealIndex, refundHeight }, feeRate) {
+    this.checkRecoveryWallet(backup);
+    if (refundHeight === null) {
+      throw new Error('This reveal has no refund leaf or its commit is unconfirmed');
+    }
+    let tipHeight = await this.getTipHeight();
+    if (tipHeight + 1 < refundHeight) {
+      throw new Error(`Refund lock hasn't passed, refundable from block ${refundHeight}`);
+    }
+    let backupReveal = backup.reveals[revealIndex];
+    let revealTaproot = getBackupRevealTaproot(backupReveal, this.network);
+    let refundPsbt = getRefundTransaction(backup.paymentAddress, revealTaproot, backup.commitTxId, backupReveal.revealFee, feeRate, this.network, backupReveal.commitVout);
+    let signedRefundPsbt = await this.signPsbtWithWallet(refundPsbt, [
+      { index: 0, address: this.wallet.getTaproot(this.wallet, this.network).address, useTweakSigner: false, useTweakedSigner: false }
+    ]);
+    let refundTx = signedRefundPsbt.extractTransaction();
+    let pushedRefundTx = await this.broadcastTx(refundTx.toHex());
+    await this.updateBackupReveal(backup, revealIndex, { recoveryTxId: refundTx.getId() });
+    return pushedRefundTx;
+  }
+
+  // regtest only, the block reward goes to the payment address so a fresh chain can fund the flows
+  async mineBlocks(count) {
+    return this.provider.mineBlocks(count, this.wallet.paymentAddress);
+  }
+}
+
+export {
+  Inscriber,
+  REFUND_LOCK_BLOCKS,
+  MAX_STANDARD_TX_WEIGHT,
+  wrapECPairWithBufferPublicKey,
+  generateKeyPair,
+  getRevealScript,
+  getRevealTaproot,
+  getRefundTaproot,
+  getRevealTransaction,
+  getRevealTransactions,
+  getRevealVSize,
+  getRevealBatches,
+  checkInscriptionDestinations,
+  getRevealSweepTransaction,
+  getRefundTransaction,
+  appendUtxoEffectiveValues,
+  selectUtxos,
+  getAddressType
+};
@@ -0,0 +1,258 @@
+import * as bitcoin from 'bitcoinjs-lib'
+import { Buffer } from 'buffer'
+import { encodeCbor, decodeCbor } from './cbor.js'
+
+const getInscriptionIdBytes = (inscriptionId) => {
+  const [txHash, index] = inscriptionId.split("i");
+  const txHashBytes = Buffer.from(txHash, 'hex').reverse();
+  const indexBytes = intToLeBytes(parseInt(index));
+  return Buffer.concat([txHashBytes, indexBytes]);
+}
+
+const intToLeBytes = (value) => {
+  const bytes = [];
+  while (value > 0) {
+    bytes.push(value & 0xff); //push smallest byte
+    value >>= 8; //shift right 1 byte, look at next smallest byte
+  }
+  return Buffer.from(bytes);
+}
+
+class Inscription {
+  constructor({
+    content = null,
+    contentType = null,
+    contentEncoding = null,
+    metaprotocol = null,
+    parent = null, // inscription id or array of inscription ids
+    delegate = null,
+    pointer = null,
+    metadata = null, // plain js object, cbor encoded into the envelope
+    //rune = null,
+    postage = 546,
+    destination = null // address to send this inscription to, defaults to the reveal's receive address
+  }) {
+    this.content = content;
+    this.contentType = contentType;
+    this.contentEncoding = contentEncoding;
+    this.metaprotocol = metaprotocol;
+    this.parent = parent;
+    this.delegate = delegate;
+    this.pointer = pointer;
+    this.metadata = metadata;
+    //this.rune = rune;
+    this.postage = postage;
+    this.destination = destination;
+  }
+
+  getInscriptionScript() {
+    if (this.content !== null && this.content.length > 0 && !Buffer.isBuffer(this.content)) {
+      throw new Error("Content must be a Buffer");
+    }
+    const script = [bitcoin.opcodes.OP_0, bitcoin.opcodes.OP_IF, Buffer.from('ord', 'utf-8')];
+    if (this.contentType !== null) {
+      script.push(bitcoin.opcodes.OP_1, Buffer.from(this.contentType, 'utf-8'));
+    }
+    if (this.pointer !== null) {
+      script.push(bitcoin.opcodes.OP_2, intToLeBytes(this.pointer));
+    }
+    for (const parentId of this.getParents()) {
+      script.push(bitcoin.opcodes.OP_3, getInscriptionIdBytes(parentId));
+    }
+    if (this.contentEncoding !== null) {
+      script.push(bitcoin.opcodes.OP_9, Buffer.from(this.contentEncoding, 'utf-8'));
+    }
+    if (this.metaprotocol !== null) {
+      script.push(bitcoin.opcodes.OP_7, Buffer.from(this.metaprotocol, 'utf-8'));
+    }
+    if (this.delegate !== null) {
+      script.push(bitcoin.opcodes.OP_11, getInscriptionIdBytes(this.delegate));
+    }
+    if (this.metadata !== null) {
+      // each 520 byte push needs its own tag, ord concatenates them back together
+      const metadataBytes = encodeCbor(this.metadata);
+      for (let i = 0; i < metadataBytes.length; i += 520) {
+        script.push(bitcoin.opcodes.OP_5, metadataBytes.subarray(i, i + 520));
+      }
+    }
+    if (this.content !== null && this.content.length > 0) {
+      script.push(bitcoin.opcodes.OP_0);
+      const contentChunks = [];
+      for (let i = 0; i < this.content.length; i += 520) {
+        contentChunks.push(this.content.subarray(i, i + 520));
+      }
+      script.push(...contentChunks);
+    }
+    script.push(bitcoin.opcodes.OP_ENDIF);
+    return script;
+  }
+
+  getParents() {
+    if (this.parent === null) return [];
+    return Array.isArray(this.parent) ? this.parent : [this.parent];
+  }
+}
+
+const TAG_CONTENT_TYPE = 1;
+const TAG_POINTER = 2;
+const TAG_PARENT = 3;
+const TAG_METADATA = 5;
+const TAG_METAPROTOCOL = 7;
+const TAG_CONTENT_ENCODING = 9;
+const TAG_DELEGATE = 11;
+
+const leBytesToInt = (bytes) => {
+  let value = 0;
+  for (let i = bytes.length - 1; i >= 0; i--) {
+    value = value * 256 + bytes[i];
+  }
+  return value;
+}
+
+const getInscriptionIdFromBytes = (bytes) => {
+  const txHash = Buffer.from(bytes.subarray(0, 32)).reverse().toString('hex');
+  const index = leBytesToInt(bytes.subarray(32));
+  return `${txHash}i${index}`;
+}
+
+// decompile normalises minimal pushes into opcodes, turn them back into the bytes they push
+const getPushedBytes = (chunk) => {
+  if (Buffer.isBuffer(chunk)) return chunk;
+  if (chunk === bitcoin.opcodes.OP_0) return Buffer.alloc(0);
+  if (chunk === bitcoin.opcodes.OP_1NEGATE) return Buffer.from([0x81]);
+  if (chunk >= bitcoin.opcodes.OP_1 && chunk <= bitcoin.opcodes.OP_16) {
+    return Buffer.from([chunk - bitcoin.opcodes.OP_1 + 1]);
+  }
+  return null;
+}
+
+// the tapscript is second to last in a script path witness, after dropping an annex if there is one
+const getTapscriptFromWitness = (witness) => {
+  let stack = witness;
+  if (stack.length >= 2 && stack[stack.length - 1][0] === 0x50) {
+    stack = stack.slice(0, -1);
+  }
+  if (stack.length < 2) return null;
+  return stack[stack.length - 2];
+}
+
+// returns the pushes between OP_FALSE OP_IF "ord" and OP_ENDIF for every envelope in the script
+const getEnvelopePayloads = (tapscript) => {
+  const chunks = bitcoin.script.decompile(tapscript);
+  if (chunks === null) return [];
+  const payloads = [];
+  for (let i = 0; i + 2 < chunks.length; i++) {
+    const isEnvelopeStart = chunks[i] === bitcoin.opcodes.OP_0
+      && chunks[i + 1] === bitcoin.opcodes.OP_IF
+      && Buffer.isBuffer(chunks[i + 2])
+      && chunks[i + 2].equals(Buffer.from('ord', 'utf-8'));
+    if (!isEnvelopeStart) continue;
+
+    const payload = [];
+    let j = i + 3;
+    for (; j < chunks.length && chunks[j] !== bitcoin.opcodes.OP_ENDIF; j++) {
+      const pushedBytes = getPushedBytes(chunks[j]);
+      if (pushedBytes === null) break; // any other opcode means this isn't an envelope
+      payload.push(pushedBytes);
+    }
+    if (chunks[j] === bitcoin.opcodes.OP_ENDIF) {
+      payloads.push(payload);
+    }
+    i = j;
+  }
+  return payloads;
+}
+
+const getInscriptionFromPayload = (payload) => {
+  // the body starts at the first empty push in a tag position
+  let bodyIndex = payload.findIndex((push, i) => i % 2 === 0 && push.length === 0);
+  if (bodyIndex === -1) bodyIndex = payload.length;
+
+  const fields = new Map();
+  for (let i = 0; i + 1 < bodyIndex; i += 2) {
+    const tag = leBytesToInt(payload[i]);
+    if (!fields.has(tag)) fields.set(tag, []);
+    fields.get(tag).push(payload[i + 1]);
+  }
+  const getField = (tag) => fields.has(tag) ? fields.get(tag)[0] : null;
+  const getStringField = (tag) => fields.has(tag) ? getField(tag).toString('utf-8') : null;
+
+  const pointer = getField(TAG_POINTER);
+  const delegate = getField(TAG_DELEGATE);
+  const parents = (fields.get(TAG_PARENT) || []).map(getInscriptionIdFromBytes);
+  const metadata = fields.has(TAG_METADATA) ? decodeCbor(Buffer.concat(fields.get(TAG_METADATA))) : null;
+
+  return new Inscription({
+    content: bodyIndex < payload.length ? Buffer.concat(payload.slice(bodyIndex + 1)) : null,
+    contentType: getStringField(TAG_CONTENT_TYPE),
+    contentEncoding: getStringField(TAG_CONTENT_ENCODING),
+    metaprotocol: getStringField(TAG_METAPROTOCOL),
+    parent: parents.length === 0 ? null : parents.length === 1 ? parents[0] : parents,
+    delegate: delegate === null ? null : getInscriptionIdFromBytes(delegate),
+    pointer: pointer === null ? null : leBytesToInt(pointer),
+    metadata,
+  });
+}
+
+// accepts a transaction hex, a bitcoinjs Transaction, or a single witness stack
+// inscriptions come back in the order ord numbers them, input by input
+function decodeInscriptions(revealTxOrWitness) {
+  let witnesses;
+  if (typeof revealTxOrWitness === 'string') {
+    witnesses = bitcoin.Transaction.fromHex(revealTxOrWitness).ins.map(input => input.witness);
+  } else if (revealTxOrWitness instanceof bitcoin.Transaction) {
+    witnesses = revealTxOrWitness.ins.map(input => input.witness);
+  } else if (Array.isArray(revealTxOrWitness)) {
+    witnesses = [revealTxOrWitness];
+  } else {
+    throw new Error('Expected a transaction hex, Transaction or witness stack');
+  }
+
+  const inscriptions = [];
+  for (const witness of witnesses) {
+    const tapscript = getTapscriptFromWitness(witness);
+    if (tapscript === null) continue;
+    for (const payload of getEnvelopePayloads(tapscript)) {
+      inscriptions.push(getInscriptionFromPayload(payload));
+    }
+  }
+  return inscriptions;
+}
+
+const isSameBytes = (a, b) => {
+  const aBytes = a === null ? Buffer.alloc(0) : Buffer.from(a);
+  const bBytes = b === null ? Buffer.alloc(0) : Buffer.from(b);
+  return aBytes.equals(bBytes);
+}
+
+// throws unless the reveal carries exactly the requested inscriptions, field for field
+function verifyRevealInscriptions(revealTxOrWitness, expectedInscriptions) {
+  const decodedInscriptions = decodeInscriptions(revealTxOrWitness);
+  if (decodedInscriptions.length !== expectedInscriptions.length) {
+    throw new Error(`Reveal contains ${decodedInscriptions.length} inscriptions, expected ${expectedInscriptions.length}`);
+  }
+  expectedInscriptions.forEach((expected, i) => {
+    const decoded = decodedInscriptions[i];
+    const mismatches = [];
+    if (!isSameBytes(decoded.content, expected.content)) mismatches.push('content');
+    if (decoded.contentType !== expected.contentType) mismatches.push('contentType');
+    if (decoded.contentEncoding !== expected.contentEncoding) mismatches.push('contentEncoding');
+    if (decoded.metaprotocol !== expected.metaprotocol) mismatches.push('metaprotocol');
+    if (decoded.delegate !== expected.delegate) mismatches.push('delegate');
+    if (decoded.pointer !== expected.pointer) mismatches.push('pointer');
+    if (decoded.getParents().join() !== expected.getParents().join()) mismatches.push('parent');
+    const expectedMetadata = expected.metadata === null ? null : encodeCbor(expected.metadata);
+    const decodedMetadata = decoded.metadata === null ? null : encodeCbor(decoded.metadata);
+    if (!isSameBytes(decodedMetadata, expectedMetadata)) mismatches.push('metadata');
+    if (mismatches.length > 0) {
+      throw new Error(`Inscription ${i} in reveal does not match: ${mismatches.join(', ')}`);
+    }
+  });
+  return decodedInscriptions;
+}
+
+export {
+  Inscription,
+  decodeInscriptions,
+  verifyRevealInscriptions
+};
@@ -0,0 +1,497 @@
+// dev only stand-ins for the browser extensions the adapters in wallets.js talk to, so the adapters can be
+// driven in jsdom or a plain browser without anything installed. each mock answers with its extension's
+// response shapes, events and error formats, and signs for real with a keyring: a connected
+// PrivateKeyWallet or MnemonicWallet from wallets.js.
+//
+//   const keyring = new MnemonicWallet(mnemonic);
+//   await keyring.connect('testnet');
+//   const mocks = installMockExtensions(keyring);
+//   await new UnisatWallet().connect('testnet');
+//   mocks.unisat.rejectNext(); // the next connect/sign fails as if the user hit cancel
+//   await mocks.unisat.changeAccount(otherKeyring); // or null, fires the extension's account event
+//   await mocks.xverse.changeNetwork('signet'); // fires the extension's network event, where it has one
+//
+// scripts/check-mock-extensions.js (npm run check:mocks) runs every adapter against them
+import * as bitcoin from 'bitcoinjs-lib';
+import { Buffer } from 'buffer';
+import { toXOnly } from 'bitcoinjs-lib/src/psbt/bip371.js';
+import * as jsontokens from 'jsontokens';
+import { NETWORKS } from './networks.js';
+
+const USER_REJECTION = { code: 4001, message: 'User rejected the request.' };
+
+// signs what the keyring holds keys for. asked for specific inputs a wallet refuses ones it can't sign,
+// asked for nothing in particular it signs whatever it can
+function signInputs(keyring, psbt, indexes = null, finalize = false) {
+  const toSign = indexes ?? psbt.data.inputs.map((input, i) => i);
+  toSign.forEach(index => {
+    try {
+      keyring.signInput(psbt, index);
+    } catch (error) {
+      if (indexes !== null) throw error;
+      return;
+    }
+    if (finalize) psbt.finalizeInput(index);
+  });
+  return psbt;
+}
+
+class MockExtension {
+  constructor(keyring) {
+    this.keyring = keyring;
+    this.connected = false;
+    this.rejectNextRequest = false;
+    this.listeners = new Map();
+  }
+
+  on(event, listener) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(listener);
+  }
+
+  removeListener(event, listener) {
+    this.listeners.get(event)?.delete(listener);
+  }
+
+  emit(event, ...args) {
+    this.listeners.get(event)?.forEach(listener => listener(...args));
+  }
+
+  rejectNext() {
+    this.rejectNextRequest = true;
+  }
+
+  // every prompt the user would see goes through here
+  async approve() {
+    if (!this.rejectNextRequest) return;
+    this.rejectNextRequest = false;
+    throw this.getRejectionError();
+  }
+
+  getRejectionError() {
+    return { ...USER_REJECTION };
+  }
+
+  requireKeyring() {
+    if (!this.keyring) throw { code: 4100, message: 'The wallet is locked.' };
+    return this.keyring;
+  }
+
+  // another account, or null for a locked wallet, announced the way the extension announces it
+  async changeAccount(keyring) {
+    if (keyring && this.keyring?.network) await keyring.connect(this.keyring.network);
+    this.keyring = keyring;
+    this.emitAccountChange();
+  }
+
+  // the keyring moved to another network, as if switched in the extension
+  async changeNetwork(network) {
+    await this.requireKeyring().switchNetwork(network);
+    this.emitNetworkChange();
+  }
+
+  emitAccountChange() {
+    // extensions without account events
+  }
+
+  emitNetworkChange() {
+    // extensions without network events
+  }
+}
+
+class MockUnisat extends MockExtension {
+  getChainInfo() {
+    const network = this.requireKeyring().network;
+    return {
+      enum: NETWORKS[network].unisat,
+      name: network,
+      network: network === 'mainnet' ? 'livenet' : 'testnet',
+    };
+  }
+
+  async getChain() {
+    return this.getChainInfo();
+  }
+
+  async switchChain(chain) {
+    const network = Object.keys(NETWORKS).find(name => NETWORKS[name].unisat === chain && chain !== null);
+    if (!network) throw { code: -32602, message: `Unsupported chain ${chain}` };
+    await this.approve();
+    await this.changeNetwork(network);
+    return this.getChainInfo();
+  }
+
+  async requestAccounts() {
+    await this.approve();
+    this.connected = true;
+    return [this.requireKeyring().ordinalsAddress];
+  }
+
+  async getVersion() {
+    return 'mock';
+  }
+
+  async getAccounts() {
+    return this.connected && this.keyring ? [this.keyring.ordinalsAddress] : [];
+  }
+
+  async getPublicKey() {
+    return this.requireKeyring().ordinalsPublicKey;
+  }
+
+  async signPsbt(psbtHex, options = {}) {
+    await this.approve();
+    const psbt = bitcoin.Psbt.fromHex(psbtHex);
+    const indexes = options.toSignInputs?.map(input => input.index) ?? null;
+    return signInputs(this.requireKeyring(), psbt, indexes, options.autoFinalized ?? true).toHex();
+  }
+
+  async signPsbts(psbtHexs, options = []) {
+    await this.approve();
+    return psbtHexs.map((psbtHex, i) => {
+      const psbt = bitcoin.Psbt.fromHex(psbtHex);
+      const indexes = options[i]?.toSignInputs?.map(input => input.index) ?? null;
+      return signInputs(this.requireKeyring(), psbt, indexes, options[i]?.autoFinalized ?? true).toHex();
+    });
+  }
+
+  // the current account signs, whatever the type
+  async signMessage(message) {
+    await this.approve();
+    return this.requireKeyring().signMessage(this.keyring.ordinalsAddress, message);
+  }
+
+  emitAccountChange() {
+    this.emit('accountsChanged', this.keyring ? [this.keyring.ordinalsAddress] : []);
+  }
+
+  emitNetworkChange() {
+    this.emit('chainChanged', this.getChainInfo());
+    this.emitAccountChange();
+  }
+}
+
+// sats-connect style: every call resolves, errors come back as { status: 'error' }
+const XVERSE_ADDRESS_TYPES = { 'p2pkh': 'p2pkh', 'p2sh-p2wpkh': 'p2sh', 'p2wpkh': 'p2wpkh', 'p2tr': 'p2tr' };
+
+class MockXverse extends MockExtension {
+  getRejectionError() {
+    return { code: -32000, message: 'User rejected request' };
+  }
+
+  getAddresses() {
+    const keyring = this.requireKeyring();
+    return [
+      {
+        address: keyring.paymentAddress,
+        publicKey: keyring.paymentPublicKey,
+        purpose: 'payment',
+        addressType: XVERSE_ADDRESS_TYPES[keyring.paymentAddressType],
+        walletType: 'software',
+      },
+      {
+        address: keyring.ordinalsAddress,
+        // x-only for taproot
+        publicKey: keyring.ordinalsAddressType === 'p2tr'
+          ? toXOnly(Buffer.from(keyring.ordinalsPublicKey, 'hex')).toString('hex')
+          : keyring.ordinalsPublicKey,
+        purpose: 'ordinals',
+        addressType: XVERSE_ADDRESS_TYPES[keyring.ordinalsAddressType],
+        walletType: 'software',
+      },
+    ];
+  }
+
+  async request(method, params) {
+    try {
+      return { status: 'success', result: await this.handleRequest(method, params) };
+    } catch (error) {
+      return { status: 'error', error };
+    }
+  }
+
+  async handleRequest(method, params) {
+    switch (method) {
+      case 'wallet_connect':
+        await this.approve();
+        this.connected = true;
+        return { addresses: this.getAddresses(), walletType: 'software' };
+      case 'getAddresses':
+        if (!this.connected) throw { code: -32002, message: 'Access denied' };
+        return { addresses: this.getAddresses() };
+      case 'wallet_getAccount':
+        if (!this.connected) throw { code: -32002, message: 'Access denied' };
+        return { id: 'mock', addresses: this.getAddresses(), walletType: 'software' };
+      case 'getInfo':
+        return { version: 'mock', methods: ['wallet_connect', 'getAddresses', 'wallet_getAccount', 'wallet_getNetwork', 'signPsbt', 'signMessage'] };
+      case 'wallet_getNetwork':
+        return { bitcoin: { name: NETWORKS[this.requireKeyring().network].xverse } };
+      case 'signPsbt': {
+        await this.approve();
+        const psbt = bitcoin.Psbt.fromBase64(params.psbt);
+        const indexes = params.signInputs ? Object.values(params.signInputs).flat() : null;
+        return { psbt: signInputs(this.requireKeyring(), psbt, indexes).toBase64() };
+      }
+      case 'signMessage': {
+        await this.approve();
+        const signature = await this.requireKeyring().signMessage(params.address, params.message);
+        return { signature, address: params.address, protocol: params.protocol };
+      }
+      default:
+        throw { code: -32601, message: `Method ${method} is not supported` };
+    }
+  }
+
+  // returns the unsubscribe function rather than taking removeListener calls
+  addListener(event, listener) {
+    this.on(event, listener);
+    return () => this.removeListener(event, listener);
+  }
+
+  emitAccountChange() {
+    if (!this.keyring) {
+      this.emit('disconnect', { type: 'disconnect' });
+      return;
+    }
+    this.emit('accountChange', { type: 'accountChange' });
+  }
+
+  emitNetworkChange() {
+    this.emit('networkChange', { type: 'networkChange', bitcoin: { name: NETWORKS[this.keyring.network].xverse } });
+  }
+}
+
+// json-rpc responses, errors reject with the whole response
+class MockLeather extends MockExtension {
+  constructor(keyring) {
+    super(keyring);
+    this.requestId = 0;
+  }
+
+  async request(method, params = {}) {
+    const id = `${++this.requestId}`;
+    try {
+      return { jsonrpc: '2.0', id, result: await this.handleRequest(method, params) };
+    } catch (error) {
+      throw { jsonrpc: '2.0', id, error };
+    }
+  }
+
+  async handleRequest(method, params) {
+    const keyring = this.requireKeyring();
+    switch (method) {
+      case 'getAddresses':
+        if (!this.connected) await this.approve(); // only asks until the site is connected
+        this.connected = true;
+        return {
+          addresses: [
+            { symbol: 'BTC', type: keyring.paymentAddressType, address: keyring.paymentAddress, publicKey: keyring.paymentPublicKey },
+            { symbol: 'BTC', type: keyring.ordinalsAddressType, address: keyring.ordinalsAddress, publicKey: keyring.ordinalsPublicKey },
+          ],
+        };
+      case 'signPsbt': {
+        await this.approve();
+        const psbt = bitcoin.Psbt.fromHex(params.hex);
+        const indexes = params.signAtIndex === undefined ? null : [params.signAtIndex].flat();
+        return { hex: signInputs(keyring, psbt, indexes).toHex() };
+      }
+      case 'signMessage': {
+        await this.approve();
+        const address = params.paymentType === 'p2tr' ? keyring.ordinalsAddress : keyring.paymentAddress;
+        return { signature: await keyring.signMessage(address, params.message), address, message: params.message };
+      }
+      default:
+        throw { code: -32601, message: 'Method not found' };
+    }
+  }
+}
+
+// one instance per network, window.okxwallet.bitcoin / bitcoinTestnet / bitcoinSignet
+class MockOkx extends MockExtension {
+  constructor(keyring, network) {
+    super(keyring);
+    this.network = network;
+  }
+
+  getAccount() {
+    const keyring = this.requireKeyring();
+    return { address: keyring.ordinalsAddress, publicKey: keyring.ordinalsPublicKey, compressedPublicKey: keyring.ordinalsPublicKey };
+  }
+
+  async connect() {
+    await this.approve();
+    await this.requireKeyring().switchNetwork(this.network);
+    this.connected = true;
+    return this.getAccount();
+  }
+
+  async getAccounts() {
+    return this.connected && this.keyring ? [this.getAccount().address] : [];
+  }
+
+  async getPublicKey() {
+    return this.getAccount().publicKey;
+  }
+
+  async signPsbt(psbtHex, options = {}) {
+    await this.approve();
+    const psbt = bitcoin.Psbt.fromHex(psbtHex);
+    const indexes = options.toSignInputs?.map(input => input.index) ?? null;
+    return signInputs(this.requireKeyring(), psbt, indexes, options.autoFinalized ?? true).toHex();
+  }
+
+  async signPsbts(psbtHexs, options = []) {
+    await this.approve();
+    return psbtHexs.map((psbtHex, i) => {
+      const psbt = bitcoin.Psbt.fromHex(psbtHex);
+      const indexes = options[i]?.toSignInputs?.map(input => input.index) ?? null;
+      return signInputs(this.requireKeyring(), psbt, indexes, options[i]?.autoFinalized ?? true).toHex();
+    });
+  }
+
+  async signMessage(message) {
+    await this.approve();
+    return this.requireKeyring().signMessage(this.getAccount().address, message);
+  }
+
+  emitAccountChange() {
+    this.emit('accountChanged', this.keyring ? this.getAccount() : null);
+  }
+}
+
+// requests come in as unsecured jwts
+class MockMagicEden extends MockExtension {
+  getAddresses() {
+    const keyring = this.requireKeyring();
+    return [
+      { address: keyring.paymentAddress, publicKey: keyring.paymentPublicKey, purpose: 'payment', addressType: keyring.paymentAddressType },
+      { address: keyring.ordinalsAddress, publicKey: keyring.ordinalsPublicKey, purpose: 'ordinals', addressType: keyring.ordinalsAddressType },
+    ];
+  }
+
+  async connect(request) {
+    const { purposes } = jsontokens.decodeToken(request).payload;
+    await this.approve();
+    this.connected = true;
+    return { addresses: this.getAddresses().filter(address => purposes.includes(address.purpose)) };
+  }
+
+  async signPsbt(request) {
+    const { psbtBase64, inputsToSign } = jsontokens.decodeToken(request).payload;
+    await this.approve();
+    const psbt = bitcoin.Psbt.fromBase64(psbtBase64);
+    const indexes = inputsToSign ? inputsToSign.flatMap(input => input.signingIndexes) : null;
+    return { result: { psbt: signInputs(this.requireKeyring(), psbt, indexes).toBase64() } };
+  }
+
+  async signMessage(request) {
+    const { address, message } = jsontokens.decodeToken(request).payload;
+    await this.approve();
+    return this.requireKeyring().signMessage(address, message);
+  }
+
+  emitAccountChange() {
+    if (this.keyring) this.emit('accountsChanged', this.getAddresses());
+  }
+}
+
+// psbts go over as raw bytes
+class MockPhantom extends MockExtension {
+  getAccounts() {
+    const keyring = this.requireKeyring();
+    return [
+      { address: keyring.paymentAddress, addressType: keyring.paymentAddressType, publicKey: keyring.paymentPublicKey, purpose: 'payment' },
+      { address: keyring.ordinalsAddress, addressType: keyring.ordinalsAddressType, publicKey: keyring.ordinalsPublicKey, purpose: 'ordinals' },
+    ];
+  }
+
+  async requestAccounts() {
+    await this.approve();
+    this.connected = true;
+    return this.getAccounts();
+  }
+
+  async signPSBT(psbtBytes, { inputsToSign = null } = {}) {
+    await this.approve();
+    const psbt = bitcoin.Psbt.fromBuffer(Buffer.from(psbtBytes));
+    const indexes = inputsToSign ? inputsToSign.flatMap(input => input.signingIndexes) : null;
+    return new Uint8Array(signInputs(this.requireKeyring(), psbt, indexes).toBuffer());
+  }
+
+  async signMessage(address, messageBytes) {
+    await this.approve();
+    const signature = await this.requireKeyring().signMessage(address, Buffer.from(messageBytes).toString('utf-8'));
+    return { signature: new Uint8Array(Buffer.from(signature, 'base64')), signedMessage: messageBytes };
+  }
+
+  emitAccountChange() {
+    this.emit('accountsChanged', this.keyring ? this.getAccounts() : []);
+  }
+}
+
+class MockOyl extends MockExtension {
+  async getAddresses() {
+    if (!this.connected) await this.approve(); // only asks until the site is connected
+    const keyring = this.requireKeyring();
+    this.connected = true;
+    return {
+      nativeSegwit: { address: keyring.paymentAddress, publicKey: keyring.paymentPublicKey },
+      taproot: { address: keyring.ordinalsAddress, publicKey: keyring.ordinalsPublicKey },
+    };
+  }
+
+  async signPsbt({ psbt: psbtHex, finalize = false }) {
+    await this.approve();
+    const psbt = bitcoin.Psbt.fromHex(psbtHex);
+    return { psbt: signInputs(this.requireKeyring(), psbt, null, finalize).toHex() };
+  }
+
+  async signPsbts(requests) {
+    await this.approve();
+    return requests.map(({ psbt: psbtHex, finalize = false }) => ({
+      psbt: signInputs(this.requireKeyring(), bitcoin.Psbt.fromHex(psbtHex), null, finalize).toHex(),
+    }));
+  }
+
+  async signMessage({ address, message }) {
+    await this.approve();
+    return { address, signature: await this.requireKeyring().signMessage(address, message) };
+  }
+}
+
+// puts every mock where its extension would inject itself, all signing with the same keyring
+function installMockExtensions(keyring, target = window) {
+  const mocks = {
+    unisat: new MockUnisat(keyring),
+    xverse: new MockXverse(keyring),
+    leather: new MockLeather(keyring),
+    okx: {
+      bitcoin: new MockOkx(keyring, 'mainnet'),
+      bitcoinTestnet: new MockOkx(keyring, 'testnet'),
+      bitcoinSignet: new MockOkx(keyring, 'signet'),
+    },
+    magicEden: new MockMagicEden(keyring),
+    phantom: new MockPhantom(keyring),
+    oyl: new MockOyl(keyring),
+  };
+  target.unisat = mocks.unisat;
+  target.XverseProviders = { BitcoinProvider: mocks.xverse };
+  target.LeatherProvider = mocks.leather;
+  target.okxwallet = mocks.okx;
+  target.magicEden = { bitcoin: mocks.magicEden };
+  target.phantom = { bitcoin: mocks.phantom };
+  target.oyl = mocks.oyl;
+  return mocks;
+}
+
+export {
+  MockExtension,
+  MockUnisat,
+  MockXverse,
+  MockLeather,
+  MockOkx,
+  MockMagicEden,
+  MockPhantom,
+  MockOyl,
+  installMockExtensions
+};
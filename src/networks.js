@@ -1,10 +1,14 @@
 import * as bitcoin from 'bitcoinjs-lib'
+import { MempoolProvider, BitcoinCoreProvider } from './providers.js'
 
+// ordApiUrl: an ord server's json api, for parent inscription lookups and keeping inscribed utxos out of coin
+// selection. null where there's no public one, see setNetworkOrdApiUrl
 export const NETWORKS = {
   'testnet': {
     bitcoinjs: bitcoin.networks.testnet,
     tapscript: 'testnet',
-    mempool: 'testnet4/',
+    provider: new MempoolProvider('https://mempool.space/testnet4/api'),
+    ordApiUrl: null,
     unisat: 'BITCOIN_TESTNET4',
     xverse: 'Testnet4',
     leather: 'testnet'
@@ -12,7 +16,8 @@ export const NETWORKS = {
   'mainnet': {
     bitcoinjs: bitcoin.networks.bitcoin,
     tapscript: 'mainnet',
-    mempool: '',
+    provider: new MempoolProvider('https://mempool.space/api'),
+    ordApiUrl: 'https://blue.vermilion.place/ord_api',
     unisat: 'BITCOIN_MAINNET',
     xverse: 'Mainnet',
     leather: 'mainnet'
@@ -20,18 +25,53 @@ export const NETWORKS = {
   'signet': {
     bitcoinjs: bitcoin.networks.testnet,
     tapscript: 'signet',
-    mempool: 'signet/',
+    provider: new MempoolProvider('https://mempool.space/signet/api'),
+    ordApiUrl: null,
     unisat: 'BITCOIN_SIGNET',
     xverse: 'Signet',
     leather: 'signet'
   },
+  'regtest': {
+    bitcoinjs: bitcoin.networks.regtest,
+    tapscript: 'regtest',
+    // local bitcoind behind the vite dev server proxy, see `npm run regtest`
+    provider: new BitcoinCoreProvider('/regtest-rpc', 'regtest', 'regtest'),
+    ordApiUrl: null,
+    unisat: null,
+    xverse: 'Regtest',
+    leather: 'regtest'
+  },
+}
+
+// point a network at another chain backend, e.g. our own esplora or a local bitcoind
+export function setNetworkProvider(network, provider) {
+  if (!NETWORKS[network]) throw new Error(`Unknown network ${network}`);
+  NETWORKS[network].provider = provider;
+}
+
+// same for the ord server, e.g. `ord --testnet4 server` run next to our own node
+export function setNetworkOrdApiUrl(network, ordApiUrl) {
+  if (!NETWORKS[network]) throw new Error(`Unknown network ${network}`);
+  NETWORKS[network].ordApiUrl = ordApiUrl;
 }
 
 export function getNetworksFromAddress(address) {
+  // regtest only has its own bech32 prefix, base58 addresses are shared with testnet
+  if (address.toLowerCase().startsWith(`${bitcoin.networks.regtest.bech32}1`)) {
+    try {
+      bitcoin.address.toOutputScript(address, bitcoin.networks.regtest);
+      return ['regtest'];
+    } catch {
+      throw new Error('Invalid Bitcoin address');
+    }
+  }
   try {
     // Try to decode as testnet/signet
     bitcoin.address.toOutputScript(address, bitcoin.networks.testnet);
-    return ['testnet', 'signet'];
+    if (address.toLowerCase().startsWith(`${bitcoin.networks.testnet.bech32}1`)) {
+      return ['testnet', 'signet'];
+    }
+    return ['testnet', 'signet', 'regtest'];
   } catch (testnetError) {
     try {
       // Try to decode as mainnet
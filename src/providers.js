@@ -0,0 +1,369 @@
+// chain data providers, everything the inscription flows need to read from or push to the chain.
+// results are normalised to the esplora shapes so callers don't care which backend is behind them
+import * as bitcoin from 'bitcoinjs-lib';
+import { Buffer } from 'buffer';
+
+const COINBASE_MATURITY = 100;
+
+class ChainProvider {
+  constructor(providerType) {
+    this.providerType = providerType;
+  }
+
+  // -> { fastestFee, halfHourFee, hourFee } in sats/vB
+  async getRecommendedFees() {
+    throw new Error('getRecommendedFees must be implemented by subclass');
+  }
+
+  // -> [{ txid, vout, value, status: { confirmed, block_height } }]
+  async getUtxos() {
+    throw new Error('getUtxos must be implemented by subclass');
+  }
+
+  // -> raw tx hex
+  async getTxHex() {
+    throw new Error('getTxHex must be implemented by subclass');
+  }
+
+  // -> { confirmed, block_height } or null if the tx is unknown
+  async getTxStatus() {
+    throw new Error('getTxStatus must be implemented by subclass');
+  }
+
+  // -> { spent, txid, vin, status: { confirmed } }, txid/vin are null where the backend can't tell
+  async getOutspend() {
+    throw new Error('getOutspend must be implemented by subclass');
+  }
+
+  async getTipHeight() {
+    throw new Error('getTipHeight must be implemented by subclass');
+  }
+
+  // -> txid
+  async broadcastTx() {
+    throw new Error('broadcastTx must be implemented by subclass');
+  }
+}
+
+// any esplora compatible api, e.g. https://mempool.space/testnet4/api or https://blockstream.info/api
+class EsploraProvider extends ChainProvider {
+  constructor(baseUrl) {
+    super('esplora');
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+  }
+
+  async request(path, options = {}) {
+    const response = await fetch(`${this.baseUrl}${path}`, options);
+    if (!response.ok) {
+      const text = await response.text();
+      console.log(text);
+      throw new Error(`Esplora request ${path} failed: ${response.status} ${response.statusText}`);
+    }
+    return response;
+  }
+
+  async getRecommendedFees() {
+    const response = await this.request('/fee-estimates');
+    const estimates = await response.json();
+    // keys are confirmation targets in blocks, missing on quiet chains like regtest
+    const getEstimate = (target) => Math.ceil(estimates[target] ?? 1);
+    return {
+      fastestFee: getEstimate('1'),
+      halfHourFee: getEstimate('3'),
+      hourFee: getEstimate('6'),
+    };
+  }
+
+  async getUtxos(address) {
+    const response = await this.request(`/address/${address}/utxo`);
+    return response.json();
+  }
+
+  async getTxHex(txId) {
+    const response = await this.request(`/tx/${txId}/hex`);
+    return response.text();
+  }
+
+  async getTxStatus(txId) {
+    const response = await fetch(`${this.baseUrl}/tx/${txId}/status`);
+    if (response.status === 404) return null;
+    if (!response.ok) {
+      throw new Error(`Esplora request /tx/${txId}/status failed: ${response.status} ${response.statusText}`);
+    }
+    return response.json();
+  }
+
+  async getOutspend(txId, vout) {
+    const response = await this.request(`/tx/${txId}/outspend/${vout}`);
+    return response.json();
+  }
+
+  async getTipHeight() {
+    const response = await this.request('/blocks/tip/height');
+    return parseInt(await response.text());
+  }
+
+  async broadcastTx(txHex) {
+    const response = await this.request('/tx', {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'text/plain',
+      },
+      body: txHex,
+    });
+    return response.text();
+  }
+}
+
+// mempool.space style esplora, which also serves its own fee recommendations
+class MempoolProvider extends EsploraProvider {
+  constructor(baseUrl = 'https://mempool.space/api') {
+    super(baseUrl);
+    this.providerType = 'mempool';
+  }
+
+  async getRecommendedFees() {
+    const response = await this.request('/v1/fees/recommended');
+    const fees = await response.json();
+    return {
+      fastestFee: fees.fastestFee,
+      halfHourFee: fees.halfHourFee,
+      hourFee: fees.hourFee,
+    };
+  }
+}
+
+// bitcoind json-rpc. browsers need a cors enabled proxy in front of the node, bitcoind doesn't send the headers.
+// utxo lookups use scantxoutset, so addresses don't need to be imported into a node wallet
+class BitcoinCoreProvider extends ChainProvider {
+  constructor(url, username = null, password = null) {
+    super('bitcoincore');
+    this.url = url;
+    this.username = username;
+    this.password = password;
+    this._requestId = 0;
+  }
+
+  async rpc(method, params = []) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.username !== null) {
+      headers['Authorization'] = `Basic ${btoa(`${this.username}:${this.password}`)}`;
+    }
+    const response = await fetch(this.url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ jsonrpc: '1.0', id: ++this._requestId, method, params }),
+    });
+    // bitcoind answers rpc errors with a 500 and the error in the body
+    const data = await response.json().catch(() => {
+      throw new Error(`Bitcoin Core request ${method} failed: ${response.status} ${response.statusText}`);
+    });
+    if (data.error) {
+      const error = new Error(`Bitcoin Core ${method} failed: ${data.error.message}`);
+      error.code = data.error.code;
+      throw error;
+    }
+    return data.result;
+  }
+
+  async getRecommendedFees() {
+    const getEstimate = async (target) => {
+      const estimate = await this.rpc('estimatesmartfee', [target]);
+      // BTC/kvB to sats/vB, no estimate yet on a fresh chain
+      return estimate.feerate ? Math.ceil(estimate.feerate * 1e5) : 1;
+    };
+    return {
+      fastestFee: await getEstimate(1),
+      halfHourFee: await getEstimate(3),
+      hourFee: await getEstimate(6),
+    };
+  }
+
+  async getUtxos(address) {
+    const scan = await this.rpc('scantxoutset', ['start', [`addr(${address})`]]);
+    // coinbase outputs can't be spent for 100 blocks, which matters on a chain mined on demand
+    const spendable = scan.unspents.filter(unspent => !unspent.coinbase || scan.height - unspent.height + 1 >= COINBASE_MATURITY);
+    return spendable.map(unspent => ({
+      txid: unspent.txid,
+      vout: unspent.vout,
+      value: Math.round(unspent.amount * 1e8),
+      status: { confirmed: true, block_height: unspent.height },
+    }));
+  }
+
+  async getTxHex(txId) {
+    return this.rpc('getrawtransaction', [txId, false]);
+  }
+
+  async getTxStatus(txId) {
+    let tx;
+    try {
+      tx = await this.rpc('getrawtransaction', [txId, true]);
+    } catch (error) {
+      if (error.code === -5) return null; // not in the mempool, and no txindex or never seen
+      throw error;
+    }
+    if (!tx.blockhash) return { confirmed: false };
+    const header = await this.rpc('getblockheader', [tx.blockhash]);
+    return { confirmed: true, block_height: header.height, block_hash: tx.blockhash };
+  }
+
+  // there's no spent index in core. spends in the mempool, of confirmed or unconfirmed outputs alike, come from
+  // gettxspendingprevout (core 24+). an output gone from the utxo set without one was spent in a block, by a tx
+  // we can't look up
+  async getOutspend(txId, vout) {
+    if (await this.rpc('gettxout', [txId, vout, true]) !== null) return { spent: false };
+    const [{ spendingtxid }] = await this.rpc('gettxspendingprevout', [[{ txid: txId, vout }]]);
+    if (!spendingtxid) return { spent: true, txid: null, vin: null, status: { confirmed: true } };
+    const spendingTx = await this.rpc('getrawtransaction', [spendingtxid, true]);
+    const vin = spendingTx.vin.findIndex(input => input.txid === txId && input.vout === vout);
+    return { spent: true, txid: spendingtxid, vin, status: { confirmed: false } };
+  }
+
+  async getTipHeight() {
+    return this.rpc('getblockcount');
+  }
+
+  async broadcastTx(txHex) {
+    return this.rpc('sendrawtransaction', [txHex]);
+  }
+
+  // regtest only, returns the new block hashes
+  async mineBlocks(count, address) {
+    return this.rpc('generatetoaddress', [count, address]);
+  }
+}
+
+// in-memory chain for running the flows without a node. broadcast txs spend and create utxos, replacing
+// unconfirmed txs they conflict with, mineBlocks confirms whatever is in the mempool
+class MockProvider extends ChainProvider {
+  constructor(bitcoinjsNetwork, fees = { fastestFee: 1, halfHourFee: 1, hourFee: 1 }) {
+    super('mock');
+    this.bitcoinjsNetwork = bitcoinjsNetwork;
+    this.fees = fees;
+    this.tipHeight = 0;
+    this.txs = new Map(); // txid -> { hex, status }
+    this.outputs = new Map(); // txid:vout -> { address, value, spentBy }
+  }
+
+  // funds an address out of thin air, confirmed at the current tip. the funding tx spends a random outpoint
+  addUtxo(address, value) {
+    const tx = new bitcoin.Transaction();
+    tx.addInput(Buffer.from(crypto.getRandomValues(new Uint8Array(32))), 0);
+    tx.addOutput(bitcoin.address.toOutputScript(address, this.bitcoinjsNetwork), value);
+    const txid = tx.getId();
+    this.txs.set(txid, { hex: tx.toHex(), status: { confirmed: true, block_height: this.tipHeight }, fee: 0 });
+    this.outputs.set(`${txid}:0`, { address, value, spentBy: null });
+    return { txid, vout: 0, value };
+  }
+
+  // the unconfirmed tx and everything spending its outputs, children first
+  getDescendants(txid) {
+    const descendants = [];
+    this.outputs.forEach((output, outpoint) => {
+      if (outpoint.startsWith(`${txid}:`) && output.spentBy !== null) descendants.push(...this.getDescendants(output.spentBy.txid));
+    });
+    return [...new Set([...descendants, txid])];
+  }
+
+  // drops an unconfirmed tx from the mempool, freeing what it spent
+  evictTx(txid) {
+    const tx = bitcoin.Transaction.fromHex(this.txs.get(txid).hex);
+    tx.ins.forEach(input => {
+      const output = this.outputs.get(`${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`);
+      if (output?.spentBy?.txid === txid) output.spentBy = null;
+    });
+    tx.outs.forEach((output, vout) => this.outputs.delete(`${txid}:${vout}`));
+    this.txs.delete(txid);
+  }
+
+  mineBlocks(count = 1) {
+    this.tipHeight += count;
+    this.txs.forEach(tx => {
+      if (!tx.status.confirmed) tx.status = { confirmed: true, block_height: this.tipHeight - count + 1 };
+    });
+    return this.tipHeight;
+  }
+
+  async getRecommendedFees() {
+    return { ...this.fees };
+  }
+
+  async getUtxos(address) {
+    const utxos = [];
+    this.outputs.forEach((output, outpoint) => {
+      if (output.address !== address || output.spentBy !== null) return;
+      const [txid, vout] = outpoint.split(':');
+      utxos.push({ txid, vout: parseInt(vout), value: output.value, status: { ...this.txs.get(txid).status } });
+    });
+    return utxos;
+  }
+
+  async getTxHex(txId) {
+    const tx = this.txs.get(txId);
+    if (!tx?.hex) throw new Error(`Unknown transaction ${txId}`);
+    return tx.hex;
+  }
+
+  async getTxStatus(txId) {
+    const tx = this.txs.get(txId);
+    return tx ? { ...tx.status } : null;
+  }
+
+  async getOutspend(txId, vout) {
+    const output = this.outputs.get(`${txId}:${vout}`);
+    if (!output || output.spentBy === null) return { spent: false };
+    return { spent: true, ...output.spentBy, status: { ...this.txs.get(output.spentBy.txid).status } };
+  }
+
+  async getTipHeight() {
+    return this.tipHeight;
+  }
+
+  async broadcastTx(txHex) {
+    const tx = bitcoin.Transaction.fromHex(txHex);
+    const txid = tx.getId();
+    if (this.txs.has(txid)) return txid;
+    // unconfirmed spends of the same outputs get replaced, as under full rbf, if the fee covers them (bip125)
+    const conflicts = new Set();
+    let inputsValue = 0;
+    tx.ins.forEach(input => {
+      const outpoint = `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`;
+      const output = this.outputs.get(outpoint);
+      if (!output) throw new Error(`Input ${outpoint} is missing`);
+      inputsValue += output.value;
+      if (output.spentBy === null) return;
+      if (this.txs.get(output.spentBy.txid).status.confirmed) throw new Error(`Input ${outpoint} is already spent`);
+      this.getDescendants(output.spentBy.txid).forEach(conflict => conflicts.add(conflict));
+    });
+    const fee = inputsValue - tx.outs.reduce((acc, output) => acc + output.value, 0);
+    const evictedFee = [...conflicts].reduce((acc, conflict) => acc + this.txs.get(conflict).fee, 0);
+    if (conflicts.size > 0 && fee < evictedFee + tx.virtualSize()) {
+      throw new Error(`Replacement pays ${fee} sats, it needs at least ${evictedFee + tx.virtualSize()}`);
+    }
+    conflicts.forEach(conflict => this.evictTx(conflict));
+    tx.ins.forEach((input, vin) => {
+      const outpoint = `${Buffer.from(input.hash).reverse().toString('hex')}:${input.index}`;
+      this.outputs.get(outpoint).spentBy = { txid, vin };
+    });
+    tx.outs.forEach((output, vout) => {
+      let address = null;
+      try {
+        address = bitcoin.address.fromOutputScript(output.script, this.bitcoinjsNetwork);
+      } catch {
+        // op_return and other non standard outputs have no address
+      }
+      this.outputs.set(`${txid}:${vout}`, { address, value: output.value, spentBy: null });
+    });
+    this.txs.set(txid, { hex: txHex, status: { confirmed: false }, fee });
+    return txid;
+  }
+}
+
+export {
+  ChainProvider,
+  EsploraProvider,
+  MempoolProvider,
+  BitcoinCoreProvider,
+  MockProvider
+};
@@ -0,0 +1,77 @@
+// moving psbts between the page and a signer that isn't on it (FileWallet): binary .psbt files as Sparrow and
+// Bitcoin Core write them, base64 text, and animated qr codes in the bc-ur crypto-psbt format
+// (https://github.com/BlockchainCommons/Research/blob/master/papers/bcr-2020-006-urtypes.md) that Sparrow,
+// Keystone, Passport, Jade and co scan and show. signed psbts come back in any of those
+import * as bitcoin from 'bitcoinjs-lib';
+import { Buffer } from 'buffer';
+import { UR, UREncoder, URDecoder } from '@ngraveio/bc-ur';
+import QRCode from 'qrcode';
+
+const UR_TYPE = 'crypto-psbt';
+const UR_FRAGMENT_LENGTH = 200; // bytes per qr frame, dense frames are hard on hardware wallet cameras
+const PSBT_MAGIC = Buffer.from('psbt\xff', 'binary');
+
+function getPsbtFileBytes(psbtBase64) {
+  return Buffer.from(psbtBase64, 'base64');
+}
+
+// nextPart() cycles through the frames, and past them into fountain coded ones so a scanner that missed a
+// frame catches up without waiting for the loop
+function createPsbtUREncoder(psbtBase64, maxFragmentLength = UR_FRAGMENT_LENGTH) {
+  const ur = new UR(UR.fromBuffer(getPsbtFileBytes(psbtBase64)).cbor, UR_TYPE);
+  return new UREncoder(ur, maxFragmentLength);
+}
+
+// ur parts are case insensitive, upper case fits qr's denser alphanumeric mode
+async function getQRCodeDataUrl(text) {
+  return QRCode.toDataURL(text.toUpperCase(), { errorCorrectionLevel: 'L', margin: 2 });
+}
+
+// collects the frames of an animated qr, in any order and with repeats
+class PsbtURDecoder {
+  constructor() {
+    this.decoder = new URDecoder();
+  }
+
+  // the psbt once enough parts are in, null until then
+  receivePart(part) {
+    this.decoder.receivePart(part.trim().toLowerCase());
+    if (this.decoder.isError()) throw new Error(`Could not read the qr code: ${this.decoder.resultError()}`);
+    if (!this.decoder.isSuccess()) return null;
+    const ur = this.decoder.resultUR();
+    if (ur.type !== UR_TYPE) throw new Error(`Expected a ${UR_TYPE} qr code, got ${ur.type}`);
+    return bitcoin.Psbt.fromBuffer(ur.decodeCBOR());
+  }
+
+  // 0 to 1
+  getProgress() {
+    return this.decoder.estimatedPercentComplete();
+  }
+}
+
+// file contents or pasted text: a binary psbt, base64, hex, or ur parts one per line
+function parsePsbt(data) {
+  const bytes = Buffer.from(data);
+  if (bytes.subarray(0, PSBT_MAGIC.length).equals(PSBT_MAGIC)) return bitcoin.Psbt.fromBuffer(bytes);
+  const text = bytes.toString('utf-8').trim();
+  if (/^ur:/i.test(text)) {
+    const decoder = new PsbtURDecoder();
+    let psbt = null;
+    text.split(/\s+/).forEach(part => psbt = decoder.receivePart(part));
+    if (psbt === null) throw new Error(`Some qr parts are missing, got ${Math.floor(decoder.getProgress() * 100)}%`);
+    return psbt;
+  }
+  try {
+    return /^[0-9a-f]+$/i.test(text) ? bitcoin.Psbt.fromHex(text) : bitcoin.Psbt.fromBase64(text);
+  } catch (error) {
+    throw new Error(`Not a psbt: ${error.message}`, { cause: error });
+  }
+}
+
+export {
+  getPsbtFileBytes,
+  createPsbtUREncoder,
+  getQRCodeDataUrl,
+  PsbtURDecoder,
+  parsePsbt
+};
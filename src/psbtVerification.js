@@ -0,0 +1,166 @@
+// checks a psbt the wallet signed against the one we built before anything is extracted or broadcast. the
+// transaction has to be ours (same version, locktime, outpoints, sequences, output scripts and amounts), every
+// input finalized, and every signature has to use an allowed sighash type and verify against the prevout from
+// our psbt, not the utxo data the wallet sent back. an extension moving the postage or the change fails here
+import * as bitcoin from 'bitcoinjs-lib';
+import { Buffer } from 'buffer';
+import { isP2PKH, isP2SHScript, isP2WPKH, isP2TR } from 'bitcoinjs-lib/src/psbt/psbtutils.js';
+import { tapleafHash } from 'bitcoinjs-lib/src/payments/bip341.js';
+import * as tinyecc from 'tiny-secp256k1';
+import { PsbtIntegrityError } from './errors.js';
+
+// both commit to every input and output, anything else leaves part of the transaction open to changes
+const ALLOWED_SIGHASH_TYPES = [bitcoin.Transaction.SIGHASH_DEFAULT, bitcoin.Transaction.SIGHASH_ALL];
+
+const ANNEX_PREFIX = 0x50;
+
+function getPrevout(psbt, index) {
+  const input = psbt.data.inputs[index];
+  if (input.witnessUtxo) return input.witnessUtxo;
+  if (input.nonWitnessUtxo) return bitcoin.Transaction.fromBuffer(input.nonWitnessUtxo).outs[psbt.txInputs[index].index];
+  throw new Error(`input ${index} has no utxo in the psbt we built`);
+}
+
+function checkSameTransaction(unsignedPsbt, signedPsbt) {
+  if (signedPsbt.version !== unsignedPsbt.version) throw new Error('version changed');
+  if (signedPsbt.locktime !== unsignedPsbt.locktime) throw new Error('locktime changed');
+
+  const [inputs, signedInputs] = [unsignedPsbt.txInputs, signedPsbt.txInputs];
+  if (signedInputs.length !== inputs.length) throw new Error(`expected ${inputs.length} inputs, got ${signedInputs.length}`);
+  inputs.forEach((input, index) => {
+    if (!signedInputs[index].hash.equals(input.hash) || signedInputs[index].index !== input.index) {
+      throw new Error(`input ${index} spends a different outpoint`);
+    }
+    if (signedInputs[index].sequence !== input.sequence) throw new Error(`input ${index} sequence changed`);
+  });
+
+  const [outputs, signedOutputs] = [unsignedPsbt.txOutputs, signedPsbt.txOutputs];
+  if (signedOutputs.length !== outputs.length) throw new Error(`expected ${outputs.length} outputs, got ${signedOutputs.length}`);
+  outputs.forEach((output, index) => {
+    if (!signedOutputs[index].script.equals(output.script)) throw new Error(`output ${index} pays a different script`);
+    if (signedOutputs[index].value !== output.value) {
+      throw new Error(`output ${index} pays ${signedOutputs[index].value} sats instead of ${output.value}`);
+    }
+  });
+}
+
+function checkSighashType(hashType, index, allowedSighashTypes) {
+  if (!allowedSighashTypes.includes(hashType)) {
+    throw new Error(`input ${index} is signed with sighash type 0x${hashType.toString(16)}`);
+  }
+}
+
+function verifySchnorrSignature(signature, publicKey, getHash, index, allowedSighashTypes) {
+  if (signature.length !== 64 && signature.length !== 65) return false;
+  const hashType = signature.length === 65 ? signature[64] : bitcoin.Transaction.SIGHASH_DEFAULT;
+  // a 65 byte signature spelling out the default type is invalid under bip341
+  if (signature.length === 65 && hashType === bitcoin.Transaction.SIGHASH_DEFAULT) return false;
+  checkSighashType(hashType, index, allowedSighashTypes);
+  return tinyecc.verifySchnorr(getHash(hashType), publicKey, signature.subarray(0, 64));
+}
+
+function verifyEcdsaSignature(encodedSignature, publicKey, getHash, index, allowedSighashTypes) {
+  const { signature, hashType } = bitcoin.script.signature.decode(encodedSignature);
+  checkSighashType(hashType, index, allowedSighashTypes);
+  return tinyecc.verify(getHash(hashType), publicKey, signature);
+}
+
+// key path signatures check against the output key, script path ones only spend leaves we put in the psbt
+function verifyTaprootInput(tx, index, prevouts, unsignedInput, allowedSighashTypes) {
+  let witness = tx.ins[index].witness;
+  let annex;
+  if (witness.length >= 2 && witness[witness.length - 1][0] === ANNEX_PREFIX) {
+    annex = witness[witness.length - 1];
+    witness = witness.slice(0, -1);
+  }
+  const prevoutScripts = prevouts.map(prevout => prevout.script);
+  const values = prevouts.map(prevout => prevout.value);
+
+  if (witness.length === 1) {
+    const outputKey = prevouts[index].script.subarray(2);
+    const getHash = hashType => tx.hashForWitnessV1(index, prevoutScripts, values, hashType, undefined, annex);
+    if (!verifySchnorrSignature(witness[0], outputKey, getHash, index, allowedSighashTypes)) {
+      throw new Error(`input ${index} key path signature is invalid`);
+    }
+    return;
+  }
+
+  const [leafScript, controlBlock] = witness.slice(-2);
+  const isOurLeaf = unsignedInput.tapLeafScript?.some(leaf => leaf.script.equals(leafScript) && leaf.controlBlock.equals(controlBlock));
+  if (!isOurLeaf) throw new Error(`input ${index} spends a leaf that isn't in the psbt we built`);
+  const leafHash = tapleafHash({ output: leafScript, version: controlBlock[0] & 0xfe });
+  const getHash = hashType => tx.hashForWitnessV1(index, prevoutScripts, values, hashType, leafHash, annex);
+  const leafKeys = bitcoin.script.decompile(leafScript).filter(chunk => Buffer.isBuffer(chunk) && chunk.length === 32);
+  // the envelope pushes data too, only the 64/65 byte stack items are signatures
+  const signatures = witness.slice(0, -2).filter(item => item.length === 64 || item.length === 65);
+  if (signatures.length === 0) throw new Error(`input ${index} has no script path signature`);
+  signatures.forEach(signature => {
+    if (!leafKeys.some(key => verifySchnorrSignature(signature, key, getHash, index, allowedSighashTypes))) {
+      throw new Error(`input ${index} script path signature is invalid`);
+    }
+  });
+}
+
+function verifyWitnessPubkeyHashInput(tx, index, pubkeyHash, value, allowedSighashTypes) {
+  const witness = tx.ins[index].witness;
+  if (witness.length !== 2) throw new Error(`input ${index} witness should be a signature and a public key`);
+  const [signature, publicKey] = witness;
+  if (!bitcoin.crypto.hash160(publicKey).equals(pubkeyHash)) throw new Error(`input ${index} is signed by another key`);
+  const scriptCode = bitcoin.payments.p2pkh({ hash: pubkeyHash }).output;
+  const getHash = hashType => tx.hashForWitnessV0(index, scriptCode, value, hashType);
+  if (!verifyEcdsaSignature(signature, publicKey, getHash, index, allowedSighashTypes)) {
+    throw new Error(`input ${index} signature is invalid`);
+  }
+}
+
+// throws unless input index of the finalized tx is validly signed for its prevout. unsignedInput is our psbt
+// input, only its tapLeafScript is read. bip322.js checks message signatures with this too
+function verifyInputSignatures(tx, index, prevouts, unsignedInput, allowedSighashTypes) {
+  const { script, value } = prevouts[index];
+  if (isP2TR(script)) return verifyTaprootInput(tx, index, prevouts, unsignedInput, allowedSighashTypes);
+  if (isP2WPKH(script)) return verifyWitnessPubkeyHashInput(tx, index, script.subarray(2), value, allowedSighashTypes);
+  if (isP2SHScript(script)) {
+    const redeemScript = bitcoin.script.decompile(tx.ins[index].script)?.at(-1);
+    if (!Buffer.isBuffer(redeemScript) || !bitcoin.crypto.hash160(redeemScript).equals(script.subarray(2, 22))) {
+      throw new Error(`input ${index} redeem script doesn't match its prevout`);
+    }
+    if (!isP2WPKH(redeemScript)) throw new Error(`input ${index} is a p2sh script we can't verify`);
+    return verifyWitnessPubkeyHashInput(tx, index, redeemScript.subarray(2), value, allowedSighashTypes);
+  }
+  if (isP2PKH(script)) {
+    const [signature, publicKey] = bitcoin.script.decompile(tx.ins[index].script) ?? [];
+    if (!Buffer.isBuffer(publicKey) || !bitcoin.crypto.hash160(publicKey).equals(script.subarray(3, 23))) {
+      throw new Error(`input ${index} is signed by another key`);
+    }
+    const getHash = hashType => tx.hashForSignature(index, script, hashType);
+    if (!verifyEcdsaSignature(signature, publicKey, getHash, index, allowedSighashTypes)) {
+      throw new Error(`input ${index} signature is invalid`);
+    }
+    return;
+  }
+  throw new Error(`input ${index} spends an output type we can't verify`);
+}
+
+// throws PsbtIntegrityError unless signedPsbt is unsignedPsbt with valid signatures on every input, returns the
+// extracted transaction otherwise. signedPsbt has to be finalized
+function verifySignedPsbt(unsignedPsbt, signedPsbt, { walletType = null, allowedSighashTypes = ALLOWED_SIGHASH_TYPES } = {}) {
+  try {
+    checkSameTransaction(unsignedPsbt, signedPsbt);
+    const prevouts = unsignedPsbt.txInputs.map((input, index) => getPrevout(unsignedPsbt, index));
+    signedPsbt.data.inputs.forEach((input, index) => {
+      if (!input.finalScriptWitness && !input.finalScriptSig) throw new Error(`input ${index} isn't finalized`);
+    });
+    // same inputs and outputs means the fee we built, bitcoinjs' own fee check would read the wallet's utxo data
+    const tx = signedPsbt.extractTransaction(true);
+    tx.ins.forEach((input, index) => verifyInputSignatures(tx, index, prevouts, unsignedPsbt.data.inputs[index], allowedSighashTypes));
+    return tx;
+  } catch (error) {
+    throw new PsbtIntegrityError(`Signed transaction doesn't match the one we built: ${error.message}`, { walletType, cause: error });
+  }
+}
+
+export {
+  ALLOWED_SIGHASH_TYPES,
+  verifyInputSignatures,
+  verifySignedPsbt
+};
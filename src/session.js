@@ -0,0 +1,85 @@
+// remembers the connected wallet across page loads. what's saved is the adapter id, network, addresses and
+// the probed capabilities, restoreSession reconnects without prompting through the adapter's readAccount and
+// drops the session if the wallet now reports other addresses or another network
+import { createWallet, getRegisteredWallets } from './walletRegistry.js';
+
+const SESSION_KEY = 'wallet-session';
+
+let memorySession = null;
+
+function loadSession() {
+  if (!globalThis.localStorage) return memorySession;
+  try {
+    return JSON.parse(localStorage.getItem(SESSION_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function saveSession(wallet) {
+  const session = {
+    walletId: wallet.constructor.id,
+    network: wallet.network,
+    ...wallet.getAccountInfo(),
+    supportsCustomAddressSigning: wallet.supportsCustomAddressSigning,
+    supportsKeyPathSigning: wallet.supportsKeyPathSigning,
+  };
+  if (!globalThis.localStorage) {
+    memorySession = session;
+    return;
+  }
+  localStorage.setItem(SESSION_KEY, JSON.stringify(session));
+}
+
+function clearSession() {
+  memorySession = null;
+  globalThis.localStorage?.removeItem(SESSION_KEY);
+}
+
+// saves the wallet now and again whenever its account or network changes, clears it when it disconnects.
+// returns the function that stops
+function persistSession(wallet) {
+  saveSession(wallet);
+  const unsubscribes = [
+    wallet.on('accountChanged', () => saveSession(wallet)),
+    wallet.on('networkChanged', () => saveSession(wallet)),
+    wallet.on('disconnected', clearSession),
+  ];
+  return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+}
+
+function isSameAccount(session, accountInfo) {
+  return Object.entries(accountInfo).every(([field, value]) => session[field] === value);
+}
+
+// the connected wallet, or null if there's no session or it no longer holds. a wallet whose extension hasn't
+// registered yet keeps its session for the next load
+async function restoreSession() {
+  const session = loadSession();
+  if (!session) return null;
+  const WalletClass = getRegisteredWallets().find(registered => registered.id === session.walletId);
+  if (!WalletClass?.isInstalled()) return null;
+
+  const wallet = createWallet(session.walletId);
+  let accountInfo = null;
+  try {
+    accountInfo = await wallet.reconnect(session.network);
+  } catch (error) {
+    console.log(`Could not restore ${session.walletId} session:`, error?.message ?? error);
+  }
+  if (accountInfo === null || !isSameAccount(session, accountInfo)) {
+    clearSession();
+    return null;
+  }
+  wallet.supportsCustomAddressSigning = session.supportsCustomAddressSigning;
+  wallet.supportsKeyPathSigning = session.supportsKeyPathSigning;
+  return wallet;
+}
+
+export {
+  loadSession,
+  saveSession,
+  clearSession,
+  persistSession,
+  restoreSession
+};
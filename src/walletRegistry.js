@@ -0,0 +1,145 @@
+// every wallet adapter the app can offer. adapters are Wallet subclasses declaring static id, displayName,
+// icon, networks and isInstalled(), see wallets.js. third parties add their own with registerWallet, and
+// wallets announcing themselves through the wallet standard or sats-connect's window.btc_providers are
+// picked up by startWalletDiscovery
+import {
+  UnisatWallet,
+  SatsConnectWallet,
+  XverseWallet,
+  LeatherWallet,
+  OkxWallet,
+  MagicEdenWallet,
+  PhantomWallet,
+  OylWallet,
+  WalletStandardWallet,
+  FileWallet
+} from './wallets.js';
+import { NETWORKS } from './networks.js';
+
+const registry = new Map(); // id -> adapter class
+const listeners = new Set();
+
+function notifyListeners() {
+  listeners.forEach(listener => listener(getRegisteredWallets()));
+}
+
+// returns a function that unregisters the adapter again
+function registerWallet(WalletClass) {
+  if (!WalletClass.id || !WalletClass.displayName) throw new Error('Wallet adapters need a static id and displayName');
+  if (registry.has(WalletClass.id) && registry.get(WalletClass.id) !== WalletClass) {
+    throw new Error(`A wallet with id ${WalletClass.id} is already registered`);
+  }
+  registry.set(WalletClass.id, WalletClass);
+  notifyListeners();
+  return () => {
+    if (registry.get(WalletClass.id) !== WalletClass) return;
+    registry.delete(WalletClass.id);
+    notifyListeners();
+  };
+}
+
+function getRegisteredWallets() {
+  return [...registry.values()];
+}
+
+// installed adapters, only those that work on network if one is given
+function getInstalledWallets(network = null) {
+  return getRegisteredWallets().filter(WalletClass =>
+    WalletClass.isInstalled() && (network === null || WalletClass.networks.includes(network))
+  );
+}
+
+function createWallet(id) {
+  const WalletClass = registry.get(id);
+  if (!WalletClass) throw new Error(`Unsupported wallet type ${id}`);
+  return new WalletClass();
+}
+
+// called with the registered adapters whenever the list changes, returns the unsubscribe function
+function onWalletsChanged(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+function getWalletId(name) {
+  return name.toLowerCase().replace(/[^a-z0-9]+/g, '-');
+}
+
+function registerStandardWallet(standardWallet) {
+  if (!WalletStandardWallet.supports(standardWallet)) return;
+  const id = `standard:${getWalletId(standardWallet.name)}`;
+  if (registry.has(id)) return;
+  registerWallet(class extends WalletStandardWallet {
+    static id = id;
+    static displayName = standardWallet.name;
+    static icon = standardWallet.icon;
+    static networks = WalletStandardWallet.getNetworks(standardWallet);
+
+    static isInstalled() {
+      return true;
+    }
+
+    constructor() {
+      super(id, standardWallet);
+    }
+  });
+}
+
+// sats-connect providers list where on window they live, skip the ones a built in adapter already talks to
+function registerSatsConnectProviders() {
+  const builtInPaths = getRegisteredWallets().map(WalletClass => WalletClass.providerPath).filter(Boolean);
+  (window.btc_providers ?? []).forEach(providerInfo => {
+    if (builtInPaths.includes(providerInfo.id)) return;
+    const id = `satsconnect:${getWalletId(providerInfo.name ?? providerInfo.id)}`;
+    if (registry.has(id)) return;
+    registerWallet(class extends SatsConnectWallet {
+      static id = id;
+      static displayName = providerInfo.name ?? providerInfo.id;
+      static icon = providerInfo.icon ?? null;
+      static networks = Object.keys(NETWORKS);
+      static providerPath = providerInfo.id;
+
+      static isInstalled() {
+        return !!SatsConnectWallet.getProvider(providerInfo.id);
+      }
+
+      constructor() {
+        super(id, providerInfo.id);
+      }
+    });
+  });
+}
+
+// wallet standard handshake: wallets that loaded first answer our app-ready event, later ones fire
+// register-wallet themselves. returns a function that stops listening
+function startWalletDiscovery() {
+  const api = {
+    register: (...standardWallets) => {
+      standardWallets.forEach(registerStandardWallet);
+      return () => {};
+    }
+  };
+  const onRegisterWallet = (event) => event.detail(api);
+  window.addEventListener('wallet-standard:register-wallet', onRegisterWallet);
+  window.dispatchEvent(new CustomEvent('wallet-standard:app-ready', { detail: api }));
+
+  registerSatsConnectProviders();
+  // extensions inject on their own schedule, look again once the page is done loading
+  window.addEventListener('load', registerSatsConnectProviders);
+
+  return () => {
+    window.removeEventListener('wallet-standard:register-wallet', onRegisterWallet);
+    window.removeEventListener('load', registerSatsConnectProviders);
+  };
+}
+
+[UnisatWallet, XverseWallet, LeatherWallet, OkxWallet, MagicEdenWallet, PhantomWallet, OylWallet, FileWallet].forEach(registerWallet);
+
+export {
+  registerWallet,
+  getRegisteredWallets,
+  getInstalledWallets,
+  createWallet,
+  onWalletsChanged,
+  startWalletDiscovery
+};
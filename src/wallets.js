@@ -3,12 +3,77 @@
 //issues with wallets that don't support the features we want. We also want to avoid
 //having to write a lot of code for each wallet, so we want to keep the code as simple as possible.
 import * as bitcoin from 'bitcoinjs-lib';
-import { isP2PKH, isP2SHScript, isP2WPKH, isP2TR } from 'bitcoinjs-lib/src/psbt/psbtutils';
-import { toXOnly } from 'bitcoinjs-lib/src/psbt/bip371';
+import { isP2PKH, isP2SHScript, isP2WPKH, isP2TR } from 'bitcoinjs-lib/src/psbt/psbtutils.js';
+import { toXOnly, tapScriptFinalizer } from 'bitcoinjs-lib/src/psbt/bip371.js';
+import { tapleafHash } from 'bitcoinjs-lib/src/payments/bip341.js';
 import * as jsontokens from 'jsontokens';
-import { NETWORKS, getNetworksFromAddress } from './networks';
+import { Buffer } from 'buffer';
+import { ECPairFactory } from 'ecpair';
+import { BIP32Factory } from 'bip32';
+import { mnemonicToSeedSync, validateMnemonic } from 'bip39';
+import * as tinyecc from 'tiny-secp256k1';
+import { NETWORKS, getNetworksFromAddress } from './networks.js';
+import { wrapECPairWithBufferPublicKey } from './inscriber.js';
+import { isLegacyAddress, getToSignPsbt, encodeSimpleSignature, signLegacyMessage } from './bip322.js';
+import {
+  WalletError,
+  WalletNotInstalledError,
+  UserRejectedError,
+  WrongNetworkError,
+  UnsupportedOperationError,
+  SigningFailedError,
+  toWalletError
+} from './errors.js';
+
+bitcoin.initEccLib(tinyecc);
+const ECPair = ECPairFactory(tinyecc);
+const bip32 = BIP32Factory(tinyecc);
+
+const WALLET_EVENTS = ['accountChanged', 'networkChanged', 'disconnected', 'signingRequestChanged'];
+const ACCOUNT_FIELDS = ['paymentAddress', 'ordinalsAddress', 'paymentPublicKey', 'ordinalsPublicKey'];
+const ACCOUNT_POLL_INTERVAL = 5000;
+
+// how a signed input gets its witness, by what it's for, see Wallet.getInputPurpose
+const INPUT_FINALIZERS = {
+  // reveals and refunds: the signature over the leaf being spent. wallets that also sign the key path leave a
+  // tapKeySig next to it, which bitcoinjs would pick over the leaf
+  script_path: (psbt, index) => {
+    const input = psbt.data.inputs[index];
+    const leafHash = input.tapLeafScript
+      .map(leaf => tapleafHash({ output: leaf.script, version: leaf.leafVersion }))
+      .find(hash => input.tapScriptSig?.some(signature => signature.leafHash.equals(hash)));
+    if (!leafHash) throw new Error('No tapleaf script signature provided');
+    const { finalScriptWitness } = tapScriptFinalizer(index, input, leafHash);
+    psbt.data.updateInput(index, { finalScriptWitness });
+    psbt.data.clearFinalizedInput(index);
+  },
+  // sweeps: the output key tweaked by the merkle root, script signatures don't count
+  key_path: (psbt, index) => {
+    if (!psbt.data.inputs[index].tapKeySig) throw new Error('No key path signature provided');
+    psbt.finalizeTaprootInput(index);
+  },
+  // the wallet's own outputs, whatever their address type
+  payment: (psbt, index) => psbt.finalizeInput(index),
+};
+
+// our name for a network from what a wallet calls it, e.g. findNetwork('unisat', 'BITCOIN_SIGNET')
+function findNetwork(walletField, value) {
+  return Object.keys(NETWORKS).find(network => NETWORKS[network][walletField] === value && value !== null) ?? null;
+}
 
 class Wallet {
+  // what the registry (walletRegistry.js) lists an adapter by. icon is a url or data uri
+  static id = null;
+  static displayName = null;
+  static icon = null;
+  static networks = [];
+  // signs off the page (FileWallet), every signature is a round trip for the user
+  static manualSigning = false;
+
+  static isInstalled() {
+    return false;
+  }
+
   constructor(walletType, supportsCustomAddressSigning = false, supportsKeyPathSigning = false) {
     this.walletType = walletType;
     // allows for signing of any custom p2tr address even if not the standard p2tr
@@ -20,7 +85,8 @@ class Wallet {
     this.ordinalsAddress = null;
     this.paymentPublicKey = null;
     this.ordinalsPublicKey = null;
-    this._accountChangedListener = null;
+    this._listeners = new Map();
+    this._unsubscribeProvider = null;
   }
 
   windowCheck() {
@@ -39,10 +105,92 @@ class Wallet {
     throw new Error('switchNetwork must be implemented by subclass');
   }
 
+  // what the extension has connected to this site, in updateAccount's shape with network always set, null if
+  // nothing is. session restore and polling call this, so it mustn't prompt once the site is connected.
+  // wallets whose network only shows in their addresses take preferredNetwork where those fit it
+  async readAccount() {
+    throw new UnsupportedOperationError(`${this.walletType} can't read its account without a prompt`, { walletType: this.walletType });
+  }
+
+  // connect without a prompt, for restoring a session. null unless the extension still has an account connected on network
+  async reconnect(network) {
+    this.windowCheck();
+    const account = await this.readAccount(network);
+    if (account === null || account.network !== network) return null;
+    this.network = network;
+    ACCOUNT_FIELDS.forEach(field => this[field] = account[field]);
+    return this.getAccountInfo();
+  }
+
+  // for wallets the user has to switch themselves: re-reads the account and takes network on if the addresses
+  // belong to it. false while the wallet is still elsewhere
+  async confirmNetworkSwitch(network) {
+    this.windowCheck();
+    const account = await this.readAccount(network);
+    if (account === null) {
+      this.updateAccount(null);
+      return false;
+    }
+    if (account.network !== network || !getNetworksFromAddress(account.paymentAddress).includes(network)) return false;
+    this.updateAccount(account);
+    return true;
+  }
+
+  // extension version where the wallet tells us, capability probe results are cached against it
+  async getVersion() {
+    return null;
+  }
+
   async signPsbt(psbt, signingIndexes = null) {
     throw new Error('signPsbt must be implemented by subclass');
   }
 
+  // signMessage(address, message) proves the user holds address, one of the connected account's. resolves to
+  // the base64 signature verifyMessage in bip322.js checks: bip-322 simple, or bip-137 for legacy addresses
+  async signMessage() {
+    throw new UnsupportedOperationError(`${this.walletType} does not support message signing`, { walletType: this.walletType });
+  }
+
+  checkMessageAddress(address) {
+    if (address !== this.paymentAddress && address !== this.ordinalsAddress) {
+      throw new WalletError(`${address} is not an address of the connected ${this.walletType} account`, { walletType: this.walletType });
+    }
+  }
+
+  // calls into the extension go through here so whatever it throws comes out as one of the errors.js types
+  async providerCall(call, FallbackError = WalletError) {
+    try {
+      return await call();
+    } catch (error) {
+      throw toWalletError(error, this.walletType, FallbackError);
+    }
+  }
+
+  // 'script_path' for reveals and refunds, which carry the leaf they spend, 'key_path' for sweeps, which carry
+  // the merkle root the commit output's key is tweaked by, 'payment' for everything else
+  getInputPurpose(input) {
+    if (input.tapLeafScript?.length) return 'script_path';
+    if (input.tapMerkleRoot) return 'key_path';
+    return 'payment';
+  }
+
+  finalizeInput(psbt, index) {
+    INPUT_FINALIZERS[this.getInputPurpose(psbt.data.inputs[index])](psbt, index);
+  }
+
+  // adapters leave finalizing to us where the extension lets them, inputs it finalized anyway are kept as they are
+  finalizePsbt(psbt) {
+    psbt.data.inputs.forEach((input, index) => {
+      if (input.finalScriptWitness || input.finalScriptSig) return;
+      try {
+        this.finalizeInput(psbt, index);
+      } catch (error) {
+        throw new SigningFailedError(`${this.walletType} returned a psbt we can't finalize, input ${index}: ${error.message}`, { walletType: this.walletType, cause: error });
+      }
+    });
+    return psbt;
+  }
+
   async signPsbts(psbtArray, signingIndexesArray) {
     // Default implementation signs each PSBT one at a time
     this.windowCheck();
@@ -54,12 +202,89 @@ class Wallet {
     return signedPsbts;
   }
 
-  async setupAccountChangeListener(callback) {
-    console.log(`${this.walletType} does not support account change listener by default`);
+  // events: accountChanged(accountInfo), networkChanged(network) and disconnected(), and from FileWallet
+  // signingRequestChanged(request). subscribe once connected, the adapter listens to its extension from the
+  // first listener on. returns the unsubscribe function
+  on(event, listener) {
+    if (!WALLET_EVENTS.includes(event)) throw new Error(`Unknown wallet event ${event}`);
+    if (!this._listeners.has(event)) this._listeners.set(event, new Set());
+    this._listeners.get(event).add(listener);
+    if (!this._unsubscribeProvider) this._unsubscribeProvider = this.subscribeProviderEvents();
+    return () => this.off(event, listener);
+  }
+
+  off(event, listener) {
+    this._listeners.get(event)?.delete(listener);
+    if ([...this._listeners.values()].every(listeners => listeners.size === 0)) this.unsubscribeProviderEvents();
+  }
+
+  removeAllListeners() {
+    this._listeners.clear();
+    this.unsubscribeProviderEvents();
+  }
+
+  emit(event, ...args) {
+    this._listeners.get(event)?.forEach(listener => listener(...args));
+  }
+
+  // adapters translate their extension's events into updateAccount calls here and return a function that
+  // stops listening. extensions without events get polled, see pollProvider
+  subscribeProviderEvents() {
+    console.log(`${this.walletType} has no account or network events`);
+    return () => {};
+  }
+
+  unsubscribeProviderEvents() {
+    this._unsubscribeProvider?.();
+    this._unsubscribeProvider = null;
+  }
+
+  // for when the extension object we listen to changes, e.g. okx's per network providers
+  resubscribeProviderEvents() {
+    if (!this._unsubscribeProvider) return;
+    this.unsubscribeProviderEvents();
+    this._unsubscribeProvider = this.subscribeProviderEvents();
   }
 
-  async removeAccountChangeListener() {
-    // Default implementation does nothing
+  // calls readAccount every ACCOUNT_POLL_INTERVAL and hands the result to updateAccount. readAccount must not
+  // prompt the user. returns the function that stops polling
+  pollProvider(readAccount) {
+    let polling = false;
+    const timer = setInterval(async () => {
+      if (polling) return;
+      polling = true;
+      try {
+        this.updateAccount(await readAccount());
+      } catch (error) {
+        console.log(`${this.walletType} account poll failed:`, error?.message ?? error);
+      } finally {
+        polling = false;
+      }
+    }, ACCOUNT_POLL_INTERVAL);
+    return () => clearInterval(timer);
+  }
+
+  // account holds network and/or getAccountInfo() fields as the extension now reports them, null once it
+  // disconnected or locked. only what actually changed is emitted
+  updateAccount(account) {
+    if (account === null) {
+      this.handleDisconnect();
+      return;
+    }
+    if (account.network && account.network !== this.network) {
+      this.network = account.network;
+      this.emit('networkChanged', account.network);
+    }
+    const changed = ACCOUNT_FIELDS.filter(field => account[field] !== undefined && account[field] !== this[field]);
+    if (changed.length === 0) return;
+    changed.forEach(field => this[field] = account[field]);
+    this.emit('accountChanged', this.getAccountInfo());
+  }
+
+  // testnet and signet share addresses, so stay on the preferred one if it fits
+  getAddressNetwork(address, preferredNetwork = this.network) {
+    const networks = getNetworksFromAddress(address);
+    return networks.includes(preferredNetwork) ? preferredNetwork : networks[0];
   }
 
   getAccountInfo() {
@@ -71,14 +296,14 @@ class Wallet {
     };
   }
 
-  handleDisconnect(callback) {
+  handleDisconnect() {
     console.log("Wallet disconnected or empty address received");
     this.paymentAddress = null;
     this.ordinalsAddress = null;
     this.paymentPublicKey = null;
     this.ordinalsPublicKey = null;
-    callback({ ...this.getAccountInfo(), disconnected: true });
-    this.removeAccountChangeListener();
+    this.unsubscribeProviderEvents();
+    this.emit('disconnected');
   }
 
   getInputAddress(input) {
@@ -124,6 +349,12 @@ class Wallet {
     }));
   }
 
+  hasTaprootAddress() {
+    const paymentAddressScript = bitcoin.address.toOutputScript(this.paymentAddress, NETWORKS[this.network].bitcoinjs);
+    const ordinalsAddressScript = bitcoin.address.toOutputScript(this.ordinalsAddress, NETWORKS[this.network].bitcoinjs);
+    return isP2TR(paymentAddressScript) || isP2TR(ordinalsAddressScript);
+  }
+
   hasSignableTweakedTaproot() {
     if (!this.supportsCustomAddressSigning) return false;
     const paymentAddressScript = bitcoin.address.toOutputScript(this.paymentAddress, NETWORKS[this.network].bitcoinjs);
@@ -176,27 +407,37 @@ class Wallet {
 }
 
 class UnisatWallet extends Wallet {
+  static id = 'unisat';
+  static displayName = 'Unisat';
+  static networks = ['mainnet', 'testnet', 'signet'];
+
+  static isInstalled() {
+    return !!window.unisat;
+  }
+
   constructor() {
     super('unisat', true, false); //supports custom addresses, but not custom key path signing
   }
 
   windowCheck() {
-    if (!window.unisat) throw new Error('Unisat not installed');
+    if (!window.unisat) throw new WalletNotInstalledError('Unisat not installed', { walletType: this.walletType });
   }
 
   async connect(network) {
     this.windowCheck();
-    const chain = await window.unisat.getChain();
+    const chain = await this.providerCall(() => window.unisat.getChain());
     if (chain.enum !== NETWORKS[network].unisat) {
       try {
         await window.unisat.switchChain(NETWORKS[network].unisat);
       } catch (error) {
-        throw new Error('Could not switch to the specified network');
+        const walletError = toWalletError(error, this.walletType);
+        if (walletError instanceof UserRejectedError) throw walletError;
+        throw new WrongNetworkError('Could not switch to the specified network', { walletType: this.walletType, network, cause: error });
       }
     }
     
-    const accounts = await window.unisat.requestAccounts();
-    const publicKey = await window.unisat.getPublicKey();
+    const accounts = await this.providerCall(() => window.unisat.requestAccounts());
+    const publicKey = await this.providerCall(() => window.unisat.getPublicKey());
     this.network = network;
     this.paymentAddress = accounts[0];
     this.ordinalsAddress = accounts[0];
@@ -208,30 +449,31 @@ class UnisatWallet extends Wallet {
 
   async getNetwork() {
     this.windowCheck();
-    const chain = await window.unisat.getChain();
+    const chain = await this.providerCall(() => window.unisat.getChain());
     return chain.enum;
   }
 
   async switchNetwork(network) {
     this.windowCheck();
-    await window.unisat.switchChain(network);
-    this.network = network;
+    if (!NETWORKS[network].unisat) throw new UnsupportedOperationError(`Unisat does not support ${network}`, { walletType: this.walletType });
+    await this.providerCall(() => window.unisat.switchChain(NETWORKS[network].unisat), WrongNetworkError);
+    this.updateAccount(await this.readAccount()); // addresses differ between mainnet and the test networks
+  }
+
+  async getVersion() {
+    this.windowCheck();
+    return window.unisat.getVersion();
   }
 
   async signPsbt(psbt, signingIndexes = null) {
     this.windowCheck();
     const psbtHex = psbt.toHex();
-    let signedPsbtHex;
-    if (signingIndexes === null) {
-      signedPsbtHex = await window.unisat.signPsbt(psbtHex);
-    } else {
-      let unisatOptions = {
-        autoFinalized: true,
-        toSignInputs: signingIndexes
-      }
-      signedPsbtHex = await window.unisat.signPsbt(psbtHex, unisatOptions);
+    let unisatOptions = {
+      autoFinalized: false,
+      ...(signingIndexes !== null && { toSignInputs: signingIndexes })
     }
-    return bitcoin.Psbt.fromHex(signedPsbtHex);
+    const signedPsbtHex = await this.providerCall(() => window.unisat.signPsbt(psbtHex, unisatOptions), SigningFailedError);
+    return this.finalizePsbt(bitcoin.Psbt.fromHex(signedPsbtHex));
   }
 
   async signPsbts(psbtArray, signingIndexesArray) {
@@ -241,59 +483,105 @@ class UnisatWallet extends Wallet {
       toSignInputs: signingIndexes,
       autoFinalized: false
     }));
-    const signedPsbtHexs = await window.unisat.signPsbts(psbtHexs, unisatOptions);
+    const signedPsbtHexs = await this.providerCall(() => window.unisat.signPsbts(psbtHexs, unisatOptions), SigningFailedError);
     const psbts = signedPsbtHexs.map(hex => bitcoin.Psbt.fromHex(hex));
-    const finalizedPsbts = psbts.map(psbt => psbt.finalizeAllInputs());
+    const finalizedPsbts = psbts.map(psbt => this.finalizePsbt(psbt));
     return finalizedPsbts;
   }
 
-  async setupAccountChangeListener(callback) {
+  // signs with the current account, 'ecdsa' is unisat's bip-137
+  async signMessage(address, message) {
     this.windowCheck();
-    this._accountChangedListener = async (accounts) => {
+    this.checkMessageAddress(address);
+    const type = isLegacyAddress(address) ? 'ecdsa' : 'bip322-simple';
+    return this.providerCall(() => window.unisat.signMessage(message, type), SigningFailedError);
+  }
+
+  // getAccounts is empty rather than prompting when the site isn't connected
+  async readAccount() {
+    this.windowCheck();
+    const accounts = await this.providerCall(() => window.unisat.getAccounts());
+    if (accounts.length === 0) return null;
+    const publicKey = await this.providerCall(() => window.unisat.getPublicKey());
+    const chain = await this.providerCall(() => window.unisat.getChain());
+    return {
+      network: findNetwork('unisat', chain.enum),
+      paymentAddress: accounts[0],
+      ordinalsAddress: accounts[0],
+      paymentPublicKey: publicKey,
+      ordinalsPublicKey: publicKey
+    };
+  }
+
+  subscribeProviderEvents() {
+    this.windowCheck();
+    // an account whose public key we can't read, e.g. the extension locked again, is treated as a disconnect
+    const onAccountsChanged = async (accounts) => {
       if (accounts.length === 0) {
-        this.handleDisconnect(callback);
+        this.updateAccount(null);
+        return;
+      }
+      let publicKey;
+      try {
+        publicKey = await this.providerCall(() => window.unisat.getPublicKey());
+      } catch (error) {
+        console.log('unisat public key read failed:', error?.message ?? error);
+        this.updateAccount(null);
         return;
       }
-      const publicKey = await window.unisat.getPublicKey();
-      this.paymentAddress = accounts[0];
-      this.ordinalsAddress = accounts[0];
-      this.paymentPublicKey = publicKey;
-      this.ordinalsPublicKey = publicKey;
-      callback(this.getAccountInfo());
+      this.updateAccount({
+        paymentAddress: accounts[0],
+        ordinalsAddress: accounts[0],
+        paymentPublicKey: publicKey,
+        ordinalsPublicKey: publicKey
+      });
+    };
+    // older versions only fire networkChanged with livenet/testnet, which can't tell testnet from signet
+    const onChainChanged = (chain) => {
+      const network = findNetwork('unisat', chain.enum);
+      if (network) this.updateAccount({ network });
+    };
+    window.unisat.on('accountsChanged', onAccountsChanged);
+    window.unisat.on('chainChanged', onChainChanged);
+    return () => {
+      window.unisat.removeListener('accountsChanged', onAccountsChanged);
+      window.unisat.removeListener('chainChanged', onChainChanged);
     };
-    window.unisat.on('accountsChanged', this._accountChangedListener);
   }
+}
 
-  async removeAccountChangeListener() {
-    this.windowCheck();
-    if (this._accountChangedListener) {
-      window.unisat.removeListener('accountsChanged', this._accountChangedListener);
-      this._accountChangedListener = null;
-    }
+// any wallet speaking the sats-connect request api, found on window at providerPath, e.g. 'XverseProviders.BitcoinProvider'
+class SatsConnectWallet extends Wallet {
+  constructor(walletType, providerPath, supportsCustomAddressSigning = false, supportsKeyPathSigning = false) {
+    super(walletType, supportsCustomAddressSigning, supportsKeyPathSigning);
+    this.providerPath = providerPath;
   }
-}
 
-class XverseWallet extends Wallet {
-  constructor() {
-    super('xverse', true, true); //supports custom addresses and custom key path signing
+  static getProvider(providerPath) {
+    return providerPath.split('.').reduce((object, key) => object?.[key], window);
+  }
+
+  get provider() {
+    return SatsConnectWallet.getProvider(this.providerPath);
   }
 
   windowCheck() {
-    if (!window.XverseProviders?.BitcoinProvider) throw new Error('Xverse not installed');
+    if (!this.provider) throw new WalletNotInstalledError(`${this.constructor.displayName} not installed`, { walletType: this.walletType });
   }
 
   async connect(network) {
     this.windowCheck();
-    const response = await window.XverseProviders.BitcoinProvider.request("wallet_connect", {
+    const response = await this.providerCall(() => this.provider.request("wallet_connect", {
       addresses: ['payment', 'ordinals'],
       message: 'Connect to Vermilion dot place plz'
-    });
+    }));
+    if (response.status === 'error') throw toWalletError(response.error, this.walletType);
     const accounts = response.result.addresses;
     const payment = accounts.find(a => a.purpose === 'payment');
     const ordinals = accounts.find(a => a.purpose === 'ordinals');
 
     if (await this.getNetwork() !== NETWORKS[network].xverse) {
-      throw new Error('Connected to wrong network, please switch to ' + network);
+      throw new WrongNetworkError('Connected to wrong network, please switch to ' + network, { walletType: this.walletType, network });
     }
     
     this.network = network;
@@ -307,32 +595,35 @@ class XverseWallet extends Wallet {
 
   async getNetwork() {
     this.windowCheck();
-    const res = await window.XverseProviders.BitcoinProvider.request('wallet_getNetwork', null);
-    if (res.status === 'error') throw new Error(res.error);
+    const res = await this.providerCall(() => this.provider.request('wallet_getNetwork', null));
+    if (res.status === 'error') throw toWalletError(res.error, this.walletType);
     return res.result.bitcoin.name;
   }
 
   async switchNetwork(network) {
-    throw new Error('Xverse does not support network switching');
+    throw new UnsupportedOperationError(`${this.constructor.displayName} does not support network switching`, { walletType: this.walletType });
+  }
+
+  async getVersion() {
+    this.windowCheck();
+    const res = await this.providerCall(() => this.provider.request('getInfo', null));
+    if (res.status === 'error') return null;
+    return res.result.version;
   }
 
   async signPsbt(psbt, signingIndexes = null) {
     this.windowCheck();
     const inputsToSign = this.getInputsToSignGroupedNameless(psbt, signingIndexes);
     const psbtBase64 = psbt.toBase64();
-    console.log('Signing PSBT with Xverse:', psbtBase64, inputsToSign);
-    const response = await window.XverseProviders.BitcoinProvider.request("signPsbt", {
+    console.log(`Signing PSBT with ${this.constructor.displayName}:`, psbtBase64, inputsToSign);
+    const response = await this.providerCall(() => this.provider.request("signPsbt", {
       psbt: psbtBase64,
       signInputs: inputsToSign,
       broadcast: false
-    });
-    if (response.error) throw new Error(response.error.message);
+    }), SigningFailedError);
+    if (response.error) throw toWalletError(response.error, this.walletType, SigningFailedError);
     const signedPsbt = bitcoin.Psbt.fromBase64(response.result.psbt);
-    if (signedPsbt.data.inputs[0].tapKeySig && signedPsbt.data.inputs[0].tapScriptSig) { // hacky af
-      delete signedPsbt.data.inputs[0].tapKeySig;
-    }
-    let finalizedPsbt = signedPsbt.finalizeAllInputs();
-    return finalizedPsbt;
+    return this.finalizePsbt(signedPsbt);
   }
 
   async signPsbts(psbtArray, signingIndexesArray) {
@@ -348,17 +639,18 @@ class XverseWallet extends Wallet {
     //   psbts
     // };
     // let request = jsontokens.createUnsecuredToken(payload);
-    const response = await window.XverseProviders.BitcoinProvider.request("signMultipleTransactions", {
+    const response = await this.providerCall(() => this.provider.request("signMultipleTransactions", {
       payload: {
         network: { type: NETWORKS[this.network].xverse },
         message: "Sign these transactions plz",
         psbts
       }
-    });
+    }), SigningFailedError);
 
     if (response.error){
-      if (response.error.message.includes('is not supported')) {
-        console.log('Xverse does not support signing multiple PSBTs at once, falling back to single signPsbt calls');
+      const error = toWalletError(response.error, this.walletType, SigningFailedError);
+      if (error instanceof UnsupportedOperationError) {
+        console.log(`${this.constructor.displayName} does not support signing multiple PSBTs at once, falling back to single signPsbt calls`);
         let signedPsbts = []
         for (let i = 0; i < psbtArray.length; i++) {
           let signedPsbt = await this.signPsbt(psbtArray[i], signingIndexesArray[i]);
@@ -369,57 +661,125 @@ class XverseWallet extends Wallet {
       throw error;
     }
 
-    return response.result.map(r => bitcoin.Psbt.fromBase64(r.psbt).finalizeAllInputs());
+    return response.result.map(r => this.finalizePsbt(bitcoin.Psbt.fromBase64(r.psbt)));
   }
 
-  async setupAccountChangeListener(callback) {
-    this._accountChangedListener = window.XverseProviders.BitcoinProvider.addListener('accountChange', async () => {
-      this.handleDisconnect(callback);
-    });
+  async signMessage(address, message) {
+    this.windowCheck();
+    this.checkMessageAddress(address);
+    const response = await this.providerCall(() => this.provider.request('signMessage', {
+      address,
+      message,
+      protocol: isLegacyAddress(address) ? 'ECDSA' : 'BIP322'
+    }), SigningFailedError);
+    if (response.status === 'error') throw toWalletError(response.error, this.walletType, SigningFailedError);
+    return response.result.signature;
   }
 
-  async removeAccountChangeListener() {
-    if (this._accountChangedListener) {
-      this._accountChangedListener();
-      this._accountChangedListener = null;
-    }
+  // no prompt once connected, fails for accounts that haven't granted us access
+  async readAccount() {
+    this.windowCheck();
+    const response = await this.providerCall(() => this.provider.request('wallet_getAccount', null));
+    if (response.status === 'error') throw toWalletError(response.error, this.walletType);
+    const payment = response.result.addresses.find(a => a.purpose === 'payment');
+    const ordinals = response.result.addresses.find(a => a.purpose === 'ordinals');
+    return {
+      network: findNetwork('xverse', await this.getNetwork()),
+      paymentAddress: payment.address,
+      ordinalsAddress: ordinals.address,
+      paymentPublicKey: payment.publicKey,
+      ordinalsPublicKey: ordinals.publicKey
+    };
+  }
+
+  subscribeProviderEvents() {
+    this.windowCheck();
+    // an account we can't read is one that hasn't connected to us, same as a disconnect
+    const onAccountChange = async () => {
+      try {
+        this.updateAccount(await this.readAccount());
+      } catch {
+        this.updateAccount(null);
+      }
+    };
+    const unsubscribes = [
+      this.provider.addListener('accountChange', onAccountChange),
+      this.provider.addListener('networkChange', onAccountChange), // addresses differ per network too
+      this.provider.addListener('disconnect', () => this.updateAccount(null)),
+    ];
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }
+}
+
+class XverseWallet extends SatsConnectWallet {
+  static id = 'xverse';
+  static displayName = 'Xverse';
+  static networks = ['mainnet', 'testnet', 'signet', 'regtest'];
+  static providerPath = 'XverseProviders.BitcoinProvider';
+
+  static isInstalled() {
+    return !!SatsConnectWallet.getProvider(XverseWallet.providerPath);
+  }
+
+  constructor() {
+    super('xverse', XverseWallet.providerPath, true, true); //supports custom addresses and custom key path signing
   }
 }
 
 class LeatherWallet extends Wallet {
+  static id = 'leather';
+  static displayName = 'Leather';
+  static networks = ['mainnet', 'testnet', 'signet', 'regtest'];
+
+  static isInstalled() {
+    return !!window.LeatherProvider;
+  }
+
   constructor() {
     super('leather', false, false); // Error: Can not finalize taproot input #0. No tapleaf script signature provided.
   }
 
   windowCheck() {
-    if (!window.LeatherProvider) throw new Error('Leather not installed');
+    if (!window.LeatherProvider) throw new WalletNotInstalledError('Leather not installed', { walletType: this.walletType });
   }
 
-  async connect(network) {
+  // prompts on the first call only, after that leather answers for the site it's connected to
+  async readAccount(preferredNetwork = this.network) {
     this.windowCheck();
-    const response = await window.LeatherProvider.request('getAddresses');
+    const response = await this.providerCall(() => window.LeatherProvider.request('getAddresses'));
     const payment = response.result.addresses.find(a => a.type === 'p2wpkh');
     const ordinals = response.result.addresses.find(a => a.type === 'p2tr');
+    return {
+      network: this.getAddressNetwork(payment.address, preferredNetwork),
+      paymentAddress: payment.address,
+      ordinalsAddress: ordinals.address,
+      paymentPublicKey: payment.publicKey,
+      ordinalsPublicKey: ordinals.publicKey
+    };
+  }
+
+  async connect(network) {
+    const { paymentAddress, ...account } = await this.readAccount();
     
-    if (!getNetworksFromAddress(payment.address).includes(network)) {
-      throw new Error('Connected to wrong network, please switch to ' + network);
+    if (!getNetworksFromAddress(paymentAddress).includes(network)) {
+      throw new WrongNetworkError('Connected to wrong network, please switch to ' + network, { walletType: this.walletType, network });
     }
     
     this.network = network;
-    this.paymentAddress = payment.address;
-    this.ordinalsAddress = ordinals.address;
-    this.paymentPublicKey = payment.publicKey;
-    this.ordinalsPublicKey = ordinals.publicKey;
+    this.paymentAddress = paymentAddress;
+    this.ordinalsAddress = account.ordinalsAddress;
+    this.paymentPublicKey = account.paymentPublicKey;
+    this.ordinalsPublicKey = account.ordinalsPublicKey;
 
     return this.getAccountInfo();
   }
 
   async getNetwork() {
-    throw new Error('Leather does not support getNetwork');
+    throw new UnsupportedOperationError('Leather does not support getNetwork', { walletType: this.walletType });
   }
 
   async switchNetwork(network) {
-    throw new Error('Leather does not support network switching');
+    throw new UnsupportedOperationError('Leather does not support network switching', { walletType: this.walletType });
   }
 
   async signPsbt(psbt, signingIndexes = null) {
@@ -428,44 +788,74 @@ class LeatherWallet extends Wallet {
       hex: psbt.toHex(),
       ...(signingIndexes && { signAtIndex: signingIndexes.map(idx => idx.index) })
     };
-    const response = await window.LeatherProvider.request('signPsbt', requestParams);
-    if (response.error) throw new Error(response.error.message);
+    const response = await this.providerCall(() => window.LeatherProvider.request('signPsbt', requestParams));
+    if (response.error) throw toWalletError(response.error, this.walletType, SigningFailedError);
     const signedPsbt = bitcoin.Psbt.fromHex(response.result.hex);
-    return signedPsbt.finalizeAllInputs();
+    return this.finalizePsbt(signedPsbt);
+  }
+
+  // leather picks the address by type, bip-322 for both
+  async signMessage(address, message) {
+    this.windowCheck();
+    this.checkMessageAddress(address);
+    const response = await this.providerCall(() => window.LeatherProvider.request('signMessage', {
+      message,
+      paymentType: address === this.ordinalsAddress ? 'p2tr' : 'p2wpkh',
+      network: NETWORKS[this.network].leather
+    }), SigningFailedError);
+    if (response.error) throw toWalletError(response.error, this.walletType, SigningFailedError);
+    return response.result.signature;
   }
 
+  // leather has no events
+  subscribeProviderEvents() {
+    return this.pollProvider(() => this.readAccount());
+  }
 }
 
 class OkxWallet extends Wallet {
+  static id = 'okx';
+  static displayName = 'OKX';
+  static networks = ['mainnet', 'testnet', 'signet'];
+
+  static isInstalled() {
+    return !!window.okxwallet;
+  }
+
   constructor() {
     super('okx', true, true); //supports custom addresses and custom key path signing
     this._provider = null;
   }
 
   windowCheck() {
-    if (!window.okxwallet) throw new Error('OKX not installed');
+    if (!window.okxwallet) throw new WalletNotInstalledError('OKX not installed', { walletType: this.walletType });
   }
 
-  async connect(network) {
-    this.windowCheck();
-    let response;
+  getNetworkProvider(network) {
     if (network === 'mainnet') {
-      this._provider = window.okxwallet.bitcoin;
+      return window.okxwallet.bitcoin;
     } else if (network === 'testnet') {
-      this._provider = window.okxwallet.bitcoinTestnet;
+      return window.okxwallet.bitcoinTestnet;
     } else if (network === 'signet') {
-      this._provider = window.okxwallet.bitcoinSignet;
-    }  else {
-      throw new Error('OKX only supports mainnet, testnet and signet');
+      return window.okxwallet.bitcoinSignet;
     }
+    throw new UnsupportedOperationError('OKX only supports mainnet, testnet and signet', { walletType: this.walletType });
+  }
 
-    response = await this._provider.connect();
-    
-    this.network = network;
-    this.paymentAddress = response.address;
-    this.ordinalsAddress = response.address;
-    this.paymentPublicKey = response.publicKey;
-    this.ordinalsPublicKey = response.publicKey;
+  // also how we switch network, so the account goes through updateAccount
+  async connect(network) {
+    this.windowCheck();
+    const provider = this.getNetworkProvider(network);
+    const response = await this.providerCall(() => provider.connect());
+    this._provider = provider;
+    this.resubscribeProviderEvents(); // events come from the network's own provider
+    this.updateAccount({
+      network,
+      paymentAddress: response.address,
+      ordinalsAddress: response.address,
+      paymentPublicKey: response.publicKey,
+      ordinalsPublicKey: response.publicKey
+    });
 
     return this.getAccountInfo();
   }
@@ -483,17 +873,12 @@ class OkxWallet extends Wallet {
   async signPsbt(psbt, signingIndexes = null) {
     this.windowCheck();
     const provider = this._provider;
-    let signedPsbtHex;
-    if (signingIndexes === null) {
-      signedPsbtHex = await provider.signPsbt(psbt.toHex());
-    } else {
-      let okxOptions = {
-        autoFinalized: true,
-        toSignInputs: signingIndexes
-      }
-      signedPsbtHex = await provider.signPsbt(psbt.toHex(), okxOptions);
+    let okxOptions = {
+      autoFinalized: false,
+      ...(signingIndexes !== null && { toSignInputs: signingIndexes })
     }
-    return bitcoin.Psbt.fromHex(signedPsbtHex);
+    const signedPsbtHex = await this.providerCall(() => provider.signPsbt(psbt.toHex(), okxOptions), SigningFailedError);
+    return this.finalizePsbt(bitcoin.Psbt.fromHex(signedPsbtHex));
   }
 
   async signPsbts(psbtArray, signingIndexesArray) {
@@ -502,55 +887,87 @@ class OkxWallet extends Wallet {
     const psbtHexs = psbtArray.map(psbt => psbt.toHex());
     const options = signingIndexesArray.map(signingIndexes => ({
       toSignInputs: signingIndexes,
-      autoFinalized: true
+      autoFinalized: false
     }));
-    const signedPsbtHexs = await provider.signPsbts(psbtHexs, options);
-    return signedPsbtHexs.map(hex => bitcoin.Psbt.fromHex(hex));
+    const signedPsbtHexs = await this.providerCall(() => provider.signPsbts(psbtHexs, options), SigningFailedError);
+    return signedPsbtHexs.map(hex => this.finalizePsbt(bitcoin.Psbt.fromHex(hex)));
   }
 
-  async setupAccountChangeListener(callback) {
+  // signs with the current account, 'ecdsa' is okx's bip-137
+  async signMessage(address, message) {
     this.windowCheck();
-    this._accountChangedListener = async (addressInfo) => {
-      if (addressInfo === null) {
-        this.handleDisconnect(callback);
-        return;
-      }
-      this.paymentAddress = addressInfo.address;
-      this.ordinalsAddress = addressInfo.address;
-      this.paymentPublicKey = addressInfo.publicKey;
-      this.ordinalsPublicKey = addressInfo.publicKey;
-      callback(this.getAccountInfo());
+    this.checkMessageAddress(address);
+    const type = isLegacyAddress(address) ? 'ecdsa' : 'bip322-simple';
+    return this.providerCall(() => this._provider.signMessage(message, type), SigningFailedError);
+  }
+
+  async reconnect(network) {
+    const account = await super.reconnect(network);
+    if (account !== null) this._provider = this.getNetworkProvider(network);
+    return account;
+  }
+
+  // getAccounts is empty rather than prompting when the site isn't connected. each network has its own
+  // provider, so the account is read from preferredNetwork's
+  async readAccount(preferredNetwork = this.network) {
+    const provider = this.getNetworkProvider(preferredNetwork);
+    const accounts = await this.providerCall(() => provider.getAccounts());
+    if (accounts.length === 0) return null;
+    const publicKey = await this.providerCall(() => provider.getPublicKey());
+    return {
+      network: preferredNetwork,
+      paymentAddress: accounts[0],
+      ordinalsAddress: accounts[0],
+      paymentPublicKey: publicKey,
+      ordinalsPublicKey: publicKey
     };
-    const provider = this._provider;
-    provider.on('accountChanged', this._accountChangedListener);
   }
 
-  async removeAccountChangeListener() {
+  // each network has its own provider, so there's no network event to listen for
+  subscribeProviderEvents() {
     this.windowCheck();
-    if (this._accountChangedListener) {
-      const provider = this._provider;
-      provider.removeListener('accountChanged', this._accountChangedListener);
-      this._accountChangedListener = null;
-    }
+    const provider = this._provider;
+    const onAccountChanged = (addressInfo) => {
+      if (addressInfo === null) {
+        this.updateAccount(null);
+        return;
+      }
+      this.updateAccount({
+        paymentAddress: addressInfo.address,
+        ordinalsAddress: addressInfo.address,
+        paymentPublicKey: addressInfo.publicKey,
+        ordinalsPublicKey: addressInfo.publicKey
+      });
+    };
+    provider.on('accountChanged', onAccountChanged);
+    return () => provider.removeListener('accountChanged', onAccountChanged);
   }
 }
 
 class MagicEdenWallet extends Wallet {
+  static id = 'magiceden';
+  static displayName = 'Magic Eden';
+  static networks = ['mainnet'];
+
+  static isInstalled() {
+    return !!window.magicEden?.bitcoin;
+  }
+
   constructor() {
-    super('magiceden', true, true); //assumed, need to check on mainnet
+    super('magiceden', true, true); //assumed until probed, see capabilities.js
   }
 
   windowCheck() {
-    if (!window.magicEden?.bitcoin) throw new Error('MagicEden not installed');
+    if (!window.magicEden?.bitcoin) throw new WalletNotInstalledError('MagicEden not installed', { walletType: this.walletType });
   }
 
   async connect(network) {
     this.windowCheck();
-    if (network !== 'mainnet') throw new Error('Magiceden only supports mainnet');
+    if (network !== 'mainnet') throw new UnsupportedOperationError('Magiceden only supports mainnet', { walletType: this.walletType });
     this.network = network;
     const payload = { purposes: ['payment', 'ordinals'] };
     const request = jsontokens.createUnsecuredToken(payload);
-    const response = await window.magicEden.bitcoin.connect(request);
+    const response = await this.providerCall(() => window.magicEden.bitcoin.connect(request));
     const accounts = response.addresses;
     const payment = accounts.find(a => a.purpose === 'payment');
     const ordinals = accounts.find(a => a.purpose === 'ordinals');
@@ -564,11 +981,11 @@ class MagicEdenWallet extends Wallet {
   }
 
   async getNetwork() {
-    throw new Error('MagicEden does not support getNetwork');
+    throw new UnsupportedOperationError('MagicEden does not support getNetwork', { walletType: this.walletType });
   }
 
   async switchNetwork(network) {
-    throw new Error('MagicEden does not support network switching');
+    throw new UnsupportedOperationError('MagicEden does not support network switching', { walletType: this.walletType });
   }
 
   async signPsbt(psbt, signingIndexes = null) {
@@ -582,49 +999,69 @@ class MagicEdenWallet extends Wallet {
       inputsToSign
     };
     const request = jsontokens.createUnsecuredToken(payload);
-    const response = await window.magicEden.bitcoin.signPsbt(request);
-    if (response.error) throw new Error(response.error.message);
+    const response = await this.providerCall(() => window.magicEden.bitcoin.signPsbt(request), SigningFailedError);
+    if (response.error) throw toWalletError(response.error, this.walletType, SigningFailedError);
     const signedPsbt = bitcoin.Psbt.fromBase64(response.result.psbt);
-    return signedPsbt.finalizeAllInputs();
+    return this.finalizePsbt(signedPsbt);
   }
 
-  async setupAccountChangeListener(callback) {
+  // resolves to the base64 signature itself
+  async signMessage(address, message) {
     this.windowCheck();
-    this._accountChangedListener = async (accounts) => {
-      const payment = accounts.find(a => a.purpose === 'payment');
-      const ordinals = accounts.find(a => a.purpose === 'ordinals');
-      if (this.paymentAddress === payment.address && this.ordinalsAddress === ordinals.address) {
-        return;
-      }
-      await this.connect(this.network);
-      callback(this.getAccountInfo());
-    };
-    window.magicEden.bitcoin.on('accountsChanged', this._accountChangedListener);
+    this.checkMessageAddress(address);
+    const request = jsontokens.createUnsecuredToken({
+      network: { type: 'Mainnet' },
+      address,
+      message,
+      protocol: isLegacyAddress(address) ? 'ECDSA' : 'BIP322'
+    });
+    return this.providerCall(() => window.magicEden.bitcoin.signMessage(request), SigningFailedError);
   }
 
-  async removeAccountChangeListener() {
+  // mainnet only, so accounts are all that change
+  subscribeProviderEvents() {
     this.windowCheck();
-    if (this._accountChangedListener) {
-      window.magicEden.bitcoin.removeListener('accountsChanged', this._accountChangedListener);
-      this._accountChangedListener = null;
-    }
+    const onAccountsChanged = (accounts) => {
+      const payment = accounts?.find(a => a.purpose === 'payment');
+      const ordinals = accounts?.find(a => a.purpose === 'ordinals');
+      if (!payment || !ordinals) {
+        this.updateAccount(null);
+        return;
+      }
+      this.updateAccount({
+        paymentAddress: payment.address,
+        ordinalsAddress: ordinals.address,
+        paymentPublicKey: payment.publicKey,
+        ordinalsPublicKey: ordinals.publicKey
+      });
+    };
+    window.magicEden.bitcoin.on('accountsChanged', onAccountsChanged);
+    return () => window.magicEden.bitcoin.removeListener('accountsChanged', onAccountsChanged);
   }
 }
 
 class PhantomWallet extends Wallet {
+  static id = 'phantom';
+  static displayName = 'Phantom';
+  static networks = ['mainnet'];
+
+  static isInstalled() {
+    return !!window.phantom?.bitcoin;
+  }
+
   constructor() {
-    super('phantom', true, true); //Assumed, need to check on mainnet
+    super('phantom', true, true); //assumed until probed, see capabilities.js
   }
 
   windowCheck() {
-    if (!window.phantom?.bitcoin) throw new Error('Phantom not installed');
+    if (!window.phantom?.bitcoin) throw new WalletNotInstalledError('Phantom not installed', { walletType: this.walletType });
   }
 
   async connect(network) {
     this.windowCheck();
-    if (network !== 'mainnet') throw new Error('Phantom only supports mainnet');
+    if (network !== 'mainnet') throw new UnsupportedOperationError('Phantom only supports mainnet', { walletType: this.walletType });
     this.network = network;
-    const accounts = await window.phantom.bitcoin.requestAccounts();
+    const accounts = await this.providerCall(() => window.phantom.bitcoin.requestAccounts());
     const payment = accounts.find(a => a.purpose === 'payment');
     const ordinals = accounts.find(a => a.purpose === 'ordinals');
     
@@ -642,109 +1079,661 @@ class PhantomWallet extends Wallet {
   }
 
   async switchNetwork(network) {
-    throw new Error('Phantom does not support network switching');
+    throw new UnsupportedOperationError('Phantom does not support network switching', { walletType: this.walletType });
   }
 
   async signPsbt(psbt, signingIndexes = null) {
     this.windowCheck();
     const inputsToSign = this.getInputsToSignGrouped(psbt, signingIndexes);
     const psbtBytes = new Uint8Array(psbt.toBuffer());
-    const signedPSBTBytes = await window.phantom.bitcoin.signPSBT(psbtBytes, {
+    const signedPSBTBytes = await this.providerCall(() => window.phantom.bitcoin.signPSBT(psbtBytes, {
       inputsToSign,
       broadcast: false
-    });
+    }), SigningFailedError);
     const signedPsbt = bitcoin.Psbt.fromBuffer(Buffer.from(signedPSBTBytes));
-    return signedPsbt.finalizeAllInputs();
+    return this.finalizePsbt(signedPsbt);
+  }
+
+  // message and signature are bytes, the signature is bip-322 simple
+  async signMessage(address, message) {
+    this.windowCheck();
+    this.checkMessageAddress(address);
+    const { signature } = await this.providerCall(() => window.phantom.bitcoin.signMessage(
+      address,
+      new Uint8Array(Buffer.from(message, 'utf-8'))
+    ), SigningFailedError);
+    return Buffer.from(signature).toString('base64');
   }
 
-  async setupAccountChangeListener(callback) {
+  // mainnet only, so accounts are all that change
+  subscribeProviderEvents() {
     this.windowCheck();
-    this._accountChangedListener = async (accounts) => {
+    const onAccountsChanged = (accounts) => {
       if (accounts.length === 0) {
-        this.handleDisconnect(callback);
+        this.updateAccount(null);
         return;
       }
       const payment = accounts.find(a => a.purpose === 'payment');
       const ordinals = accounts.find(a => a.purpose === 'ordinals');
-      this.paymentAddress = payment.address;
-      this.ordinalsAddress = ordinals.address;
-      this.paymentPublicKey = payment.publicKey;
-      this.ordinalsPublicKey = ordinals.publicKey;
-      callback(this.getAccountInfo());
+      this.updateAccount({
+        paymentAddress: payment.address,
+        ordinalsAddress: ordinals.address,
+        paymentPublicKey: payment.publicKey,
+        ordinalsPublicKey: ordinals.publicKey
+      });
     };
-    window.phantom.bitcoin.on('accountsChanged', this._accountChangedListener);
-  }
-
-  async removeAccountChangeListener() {
-    this.windowCheck();
-    if (this._accountChangedListener) {
-      window.phantom.bitcoin.removeListener('accountsChanged', this._accountChangedListener);
-      this._accountChangedListener = null;
-    }
+    window.phantom.bitcoin.on('accountsChanged', onAccountsChanged);
+    return () => window.phantom.bitcoin.removeListener('accountsChanged', onAccountsChanged);
   }
 }
 
 class OylWallet extends Wallet {
+  static id = 'oyl';
+  static displayName = 'Oyl';
+  static networks = ['mainnet', 'testnet', 'signet', 'regtest'];
+
+  static isInstalled() {
+    return !!window.oyl;
+  }
+
   constructor() {
     super('oyl', false, false); //does not support signing custom addresses nor key path signing
   }
 
   windowCheck() {
-    if (!window.oyl) throw new Error('Oyl not installed');
+    if (!window.oyl) throw new WalletNotInstalledError('Oyl not installed', { walletType: this.walletType });
   }
 
-  async connect(network) {
+  // prompts on the first call only, after that oyl answers for the site it's connected to
+  async readAccount(preferredNetwork = this.network) {
     this.windowCheck();
-    if (!getNetworksFromAddress(payment.address).includes(network)) {
-      throw new Error('Connected to wrong network, please switch to ' + network);
+    const accounts = await this.providerCall(() => window.oyl.getAddresses());
+    return {
+      network: this.getAddressNetwork(accounts.nativeSegwit.address, preferredNetwork),
+      paymentAddress: accounts.nativeSegwit.address,
+      ordinalsAddress: accounts.taproot.address,
+      paymentPublicKey: accounts.nativeSegwit.publicKey,
+      ordinalsPublicKey: accounts.taproot.publicKey
+    };
+  }
+
+  async connect(network) {
+    const { paymentAddress, ...account } = await this.readAccount();
+    if (!getNetworksFromAddress(paymentAddress).includes(network)) {
+      throw new WrongNetworkError('Connected to wrong network, please switch to ' + network, { walletType: this.walletType, network });
     }
     this.network = network;
-    const accounts = await window.oyl.getAddresses();
-    this.paymentAddress = accounts.nativeSegwit.address;
-    this.ordinalsAddress = accounts.taproot.address;
-    this.paymentPublicKey = accounts.nativeSegwit.publicKey;
-    this.ordinalsPublicKey = accounts.taproot.publicKey;
+    this.paymentAddress = paymentAddress;
+    this.ordinalsAddress = account.ordinalsAddress;
+    this.paymentPublicKey = account.paymentPublicKey;
+    this.ordinalsPublicKey = account.ordinalsPublicKey;
 
     return this.getAccountInfo();
   }
 
   async getNetwork() {
-    throw new Error('Oyl does not support getNetwork');
+    throw new UnsupportedOperationError('Oyl does not support getNetwork', { walletType: this.walletType });
   }
 
   async switchNetwork(network) {
-    throw new Error('Oyl does not support network switching');
+    throw new UnsupportedOperationError('Oyl does not support network switching', { walletType: this.walletType });
   }
 
   async signPsbt(psbt) {
     this.windowCheck();
-    const response = await window.oyl.signPsbt({
+    const response = await this.providerCall(() => window.oyl.signPsbt({
       psbt: psbt.toHex(),
       broadcast: false,
-      finalize: true
-    });
-    return bitcoin.Psbt.fromHex(response.psbt);
+      finalize: false
+    }), SigningFailedError);
+    return this.finalizePsbt(bitcoin.Psbt.fromHex(response.psbt));
   }
 
   async signPsbts(psbtArray, signingIndexesArray) {
     this.windowCheck();
-    const response = await window.oyl.signPsbts(
+    const response = await this.providerCall(() => window.oyl.signPsbts(
       psbtArray.map(psbt => ({
         psbt: psbt.toHex(),
         broadcast: false,
-        finalize: true
+        finalize: false
       }))
+    ), SigningFailedError);
+    return response.map(signed => this.finalizePsbt(bitcoin.Psbt.fromHex(signed.psbt)));
+  }
+
+  async signMessage(address, message) {
+    this.windowCheck();
+    this.checkMessageAddress(address);
+    const response = await this.providerCall(() => window.oyl.signMessage({
+      address,
+      message,
+      protocol: isLegacyAddress(address) ? 'ecdsa' : 'bip322'
+    }), SigningFailedError);
+    return response.signature;
+  }
+
+  // oyl has no events
+  subscribeProviderEvents() {
+    return this.pollProvider(() => this.readAccount());
+  }
+}
+
+// wallets registering themselves through the wallet standard (https://github.com/wallet-standard/wallet-standard)
+// with the bitcoin:connect and bitcoin:signTransaction features. capabilities are unknown up front, the probe
+// in capabilities.js finds them out
+const WALLET_STANDARD_CHAINS = {
+  'bitcoin:mainnet': 'mainnet',
+  'bitcoin:testnet': 'testnet',
+  'bitcoin:testnet4': 'testnet',
+  'bitcoin:signet': 'signet',
+  'bitcoin:regtest': 'regtest',
+};
+
+class WalletStandardWallet extends Wallet {
+  constructor(walletType, standardWallet) {
+    super(walletType, false, false);
+    this.standardWallet = standardWallet;
+    this.accounts = [];
+  }
+
+  static supports(standardWallet) {
+    return 'bitcoin:connect' in standardWallet.features && 'bitcoin:signTransaction' in standardWallet.features;
+  }
+
+  static getNetworks(standardWallet) {
+    const networks = standardWallet.chains.map(chain => WALLET_STANDARD_CHAINS[chain]).filter(Boolean);
+    return networks.length > 0 ? [...new Set(networks)] : Object.keys(NETWORKS);
+  }
+
+  windowCheck() {
+    // the wallet object was handed to us, nothing on window to look for
+  }
+
+  getAccount(accounts) {
+    const payment = accounts.find(account => account.purpose === 'payment') ?? accounts[0];
+    const ordinals = accounts.find(account => account.purpose === 'ordinals') ?? accounts[accounts.length - 1];
+    return {
+      paymentAddress: payment.address,
+      ordinalsAddress: ordinals.address,
+      paymentPublicKey: Buffer.from(payment.publicKey).toString('hex'),
+      ordinalsPublicKey: Buffer.from(ordinals.publicKey).toString('hex')
+    };
+  }
+
+  setAccounts(accounts) {
+    this.accounts = accounts;
+    Object.assign(this, this.getAccount(accounts));
+  }
+
+  // keeps this.accounts current for signing, returns what updateAccount takes
+  readAccounts(accounts, preferredNetwork = this.network) {
+    if (accounts.length === 0) return null;
+    this.accounts = accounts;
+    return { network: this.getAddressNetwork(accounts[0].address, preferredNetwork), ...this.getAccount(accounts) };
+  }
+
+  async connect(network) {
+    const { accounts } = await this.providerCall(() => this.standardWallet.features['bitcoin:connect'].connect({ purposes: ['payment', 'ordinals'] }));
+    if (accounts.length === 0) throw new WalletError(`${this.constructor.displayName} returned no accounts`, { walletType: this.walletType });
+    if (!getNetworksFromAddress(accounts[0].address).includes(network)) {
+      throw new WrongNetworkError('Connected to wrong network, please switch to ' + network, { walletType: this.walletType, network });
+    }
+    this.network = network;
+    this.setAccounts(accounts);
+
+    return this.getAccountInfo();
+  }
+
+  async getNetwork() {
+    return this.network;
+  }
+
+  async switchNetwork() {
+    throw new UnsupportedOperationError(`${this.constructor.displayName} does not support network switching`, { walletType: this.walletType });
+  }
+
+  async getVersion() {
+    return this.standardWallet.version;
+  }
+
+  getSignTransactionInput(psbt, signingIndexes) {
+    return {
+      psbt: new Uint8Array(psbt.toBuffer()),
+      inputsToSign: this.getInputsToSignGrouped(psbt, signingIndexes)
+        .filter(group => group.signingIndexes.length > 0)
+        .map(group => ({
+          account: this.accounts.find(account => account.address === group.address),
+          signingIndexes: group.signingIndexes
+        })),
+    };
+  }
+
+  async signPsbt(psbt, signingIndexes = null) {
+    const [signed] = await this.providerCall(() => this.standardWallet.features['bitcoin:signTransaction'].signTransaction(
+      this.getSignTransactionInput(psbt, signingIndexes)
+    ), SigningFailedError);
+    return this.finalizePsbt(bitcoin.Psbt.fromBuffer(Buffer.from(signed.signedPsbt)));
+  }
+
+  async signPsbts(psbtArray, signingIndexesArray) {
+    const signed = await this.providerCall(() => this.standardWallet.features['bitcoin:signTransaction'].signTransaction(
+      ...psbtArray.map((psbt, i) => this.getSignTransactionInput(psbt, signingIndexesArray[i]))
+    ), SigningFailedError);
+    return signed.map(output => this.finalizePsbt(bitcoin.Psbt.fromBuffer(Buffer.from(output.signedPsbt))));
+  }
+
+  // bitcoin:signMessage is optional, wallets having it sign bip-322 simple
+  async signMessage(address, message) {
+    const feature = this.standardWallet.features['bitcoin:signMessage'];
+    if (!feature) return super.signMessage();
+    this.checkMessageAddress(address);
+    const [{ signature }] = await this.providerCall(() => feature.signMessage({
+      account: this.accounts.find(account => account.address === address),
+      message: new Uint8Array(Buffer.from(message, 'utf-8'))
+    }), SigningFailedError);
+    return Buffer.from(signature).toString('base64');
+  }
+
+  async readAccount(preferredNetwork = this.network) {
+    return this.readAccounts(this.standardWallet.accounts, preferredNetwork);
+  }
+
+  // the chains in change events are the ones the wallet supports, the network is read off the addresses.
+  // without standard:events the wallet's accounts property can be polled, reading it never prompts
+  subscribeProviderEvents() {
+    const events = this.standardWallet.features['standard:events'];
+    if (!events) return this.pollProvider(() => this.readAccount());
+    return events.on('change', ({ accounts }) => {
+      if (accounts) this.updateAccount(this.readAccounts(accounts)); // otherwise chain or feature changes
+    });
+  }
+}
+
+// bip44/49/84/86 purpose of each address type a local key can stand behind
+const ADDRESS_TYPE_PURPOSES = { 'p2pkh': 44, 'p2sh-p2wpkh': 49, 'p2wpkh': 84, 'p2tr': 86 };
+
+// first receive address of the account, the coin type differs between mainnet and the test networks
+function getDerivationPath(addressType, network, account = 0) {
+  const coinType = network === 'mainnet' ? 0 : 1;
+  return `m/${ADDRESS_TYPE_PURPOSES[addressType]}'/${coinType}'/${account}'/0/0`;
+}
+
+function getKeyAddress(publicKey, addressType, network) {
+  const bitcoinjsNetwork = NETWORKS[network].bitcoinjs;
+  switch (addressType) {
+    case 'p2pkh':
+      return bitcoin.payments.p2pkh({ pubkey: publicKey, network: bitcoinjsNetwork }).address;
+    case 'p2sh-p2wpkh':
+      return bitcoin.payments.p2sh({
+        redeem: bitcoin.payments.p2wpkh({ pubkey: publicKey, network: bitcoinjsNetwork }),
+        network: bitcoinjsNetwork
+      }).address;
+    case 'p2wpkh':
+      return bitcoin.payments.p2wpkh({ pubkey: publicKey, network: bitcoinjsNetwork }).address;
+    case 'p2tr':
+      return bitcoin.payments.p2tr({ internalPubkey: toXOnly(publicKey), network: bitcoinjsNetwork }).address;
+    default:
+      throw new Error(`Unsupported address type ${addressType}`);
+  }
+}
+
+// keys held in memory rather than in an extension, for node scripts like the cli and for tests.
+// payment is p2wpkh and ordinals is p2tr unless told otherwise, one key may back both. the address types and
+// capability flags can be set to stand in for other wallets, e.g. a nested segwit payment address
+class PrivateKeyWallet extends Wallet {
+  constructor(paymentPrivateKey, ordinalsPrivateKey = paymentPrivateKey, {
+    paymentAddressType = 'p2wpkh',
+    ordinalsAddressType = 'p2tr',
+    supportsCustomAddressSigning = true,
+    supportsKeyPathSigning = true
+  } = {}) {
+    super('privatekey', supportsCustomAddressSigning, supportsKeyPathSigning);
+    if (!ADDRESS_TYPE_PURPOSES[paymentAddressType]) throw new Error(`Unsupported address type ${paymentAddressType}`);
+    if (!ADDRESS_TYPE_PURPOSES[ordinalsAddressType]) throw new Error(`Unsupported address type ${ordinalsAddressType}`);
+    this.paymentAddressType = paymentAddressType;
+    this.ordinalsAddressType = ordinalsAddressType;
+    this.paymentKeyPair = null;
+    this.ordinalsKeyPair = null;
+    if (paymentPrivateKey !== null) this.setKeys(paymentPrivateKey, ordinalsPrivateKey);
+  }
+
+  static fromWIF(wif, options = {}) {
+    const keyPair = ECPair.fromWIF(wif, [bitcoin.networks.bitcoin, bitcoin.networks.testnet]);
+    return new PrivateKeyWallet(keyPair.privateKey, keyPair.privateKey, options);
+  }
+
+  setKeys(paymentPrivateKey, ordinalsPrivateKey) {
+    this.paymentKeyPair = wrapECPairWithBufferPublicKey(ECPair.fromPrivateKey(Buffer.from(paymentPrivateKey)));
+    this.ordinalsKeyPair = wrapECPairWithBufferPublicKey(ECPair.fromPrivateKey(Buffer.from(ordinalsPrivateKey)));
+  }
+
+  windowCheck() {
+    // nothing to check, there's no extension
+  }
+
+  async connect(network) {
+    this.network = network;
+    this.paymentAddress = getKeyAddress(this.paymentKeyPair.publicKey, this.paymentAddressType, network);
+    this.ordinalsAddress = getKeyAddress(this.ordinalsKeyPair.publicKey, this.ordinalsAddressType, network);
+    this.paymentPublicKey = this.paymentKeyPair.publicKey.toString('hex');
+    this.ordinalsPublicKey = this.ordinalsKeyPair.publicKey.toString('hex');
+
+    return this.getAccountInfo();
+  }
+
+  async getNetwork() {
+    return this.network;
+  }
+
+  async switchNetwork(network) {
+    return this.connect(network);
+  }
+
+  subscribeProviderEvents() {
+    return () => {}; // nothing changes the keys behind our back
+  }
+
+  // untweaked keys sign script paths and p2wpkh, tweaked ones sign taproot key paths (by the input's merkle root
+  // if it has one). psbt.signInput throws unless the key fits the input, so try each until one does
+  getInputSigners(input) {
+    return [this.paymentKeyPair, this.ordinalsKeyPair].flatMap(keyPair => [
+      keyPair,
+      wrapECPairWithBufferPublicKey(keyPair.tweak(bitcoin.crypto.taggedHash(
+        'TapTweak',
+        input.tapMerkleRoot ? Buffer.concat([toXOnly(keyPair.publicKey), input.tapMerkleRoot]) : toXOnly(keyPair.publicKey)
+      ))),
+    ]);
+  }
+
+  signInput(psbt, index) {
+    for (const signer of this.getInputSigners(psbt.data.inputs[index])) {
+      try {
+        psbt.signInput(index, signer);
+        return;
+      } catch {
+        // key doesn't fit this input
+      }
+    }
+    throw new SigningFailedError(`Can not sign input ${index} with this wallet's keys`, { walletType: this.walletType });
+  }
+
+  async signPsbt(psbt, signingIndexes = null) {
+    const indexes = signingIndexes
+      ? signingIndexes.map(idx => idx.index)
+      : this.getInputsToSignGrouped(psbt).flatMap(group => group.signingIndexes);
+    indexes.forEach(index => {
+      this.signInput(psbt, index);
+      this.finalizeInput(psbt, index);
+    });
+    return psbt;
+  }
+
+  // bip-322 simple, bip-137 for a p2pkh address
+  async signMessage(address, message) {
+    this.checkMessageAddress(address);
+    const isPayment = address === this.paymentAddress;
+    const keyPair = isPayment ? this.paymentKeyPair : this.ordinalsKeyPair;
+    if ((isPayment ? this.paymentAddressType : this.ordinalsAddressType) === 'p2pkh') return signLegacyMessage(keyPair, message);
+    const psbt = getToSignPsbt(address, message, keyPair.publicKey);
+    this.signInput(psbt, 0);
+    this.finalizeInput(psbt, 0);
+    return encodeSimpleSignature(psbt.extractTransaction().ins[0].witness);
+  }
+}
+
+// accounts derived from a bip39 seed, bip84 for payments and bip86 for ordinals by default, first address of
+// the account like most wallets. keys are derived again on connect as the coin type differs between mainnet
+// and the test networks
+class MnemonicWallet extends PrivateKeyWallet {
+  constructor(mnemonic, { passphrase = '', account = 0, ...options } = {}) {
+    if (!validateMnemonic(mnemonic)) throw new Error('Invalid mnemonic');
+    super(null, null, options);
+    this.walletType = 'mnemonic';
+    this.root = bip32.fromSeed(mnemonicToSeedSync(mnemonic, passphrase));
+    this.account = account;
+  }
+
+  getDerivationPath(addressType, network) {
+    return getDerivationPath(addressType, network, this.account);
+  }
+
+  async connect(network) {
+    this.setKeys(
+      this.root.derivePath(this.getDerivationPath(this.paymentAddressType, network)).privateKey,
+      this.root.derivePath(this.getDerivationPath(this.ordinalsAddressType, network)).privateKey
     );
-    return response.map(signed => bitcoin.Psbt.fromHex(signed.psbt));
+    return super.connect(network);
+  }
+}
+
+const FILE_WALLET_KEY = 'file-wallet-account';
+
+let memoryFileWalletAccount = null;
+
+function loadFileWalletAccount() {
+  if (!globalThis.localStorage) return memoryFileWalletAccount;
+  try {
+    return JSON.parse(localStorage.getItem(FILE_WALLET_KEY));
+  } catch {
+    return null;
+  }
+}
+
+function saveFileWalletAccount(account) {
+  if (!globalThis.localStorage) {
+    memoryFileWalletAccount = account;
+    return;
+  }
+  localStorage.setItem(FILE_WALLET_KEY, JSON.stringify(account));
+}
+
+// the type of address publicKey has at address on network, null if it has none there
+function findKeyAddressType(publicKey, address, network) {
+  return Object.keys(ADDRESS_TYPE_PURPOSES).find(addressType => {
+    try {
+      return getKeyAddress(Buffer.from(publicKey, 'hex'), addressType, network) === address;
+    } catch {
+      return false; // e.g. an x-only key has no p2pkh address
+    }
+  }) ?? null;
+}
+
+// for signers that aren't on the page: Sparrow, Bitcoin Core, hardware wallets. it holds no keys, just the
+// addresses and public keys it's given. every psbt to sign goes out as a signing request (signingRequestChanged)
+// and signPsbt resolves once it's imported back signed, so the inscription flows wait for the user in between.
+// see psbtTransfer.js for the file, text and qr formats
+class FileWallet extends Wallet {
+  static id = 'file';
+  static displayName = 'Air-gapped signer';
+  static networks = Object.keys(NETWORKS);
+  static manualSigning = true;
+
+  static isInstalled() {
+    return true;
+  }
+
+  constructor() {
+    super('file', false, false); // signers can't be relied on for custom script or key paths, the ephemeral flows need neither
+    this.account = null;
+    this.keyOrigins = {}; // address -> { masterFingerprint, path, publicKey, addressType }
+    this.signingRequest = null;
+  }
+
+  windowCheck() {
+    // nothing to check, there's no extension
+  }
+
+  // { paymentAddress, paymentPublicKey, ordinalsAddress, ordinalsPublicKey, masterFingerprint, paymentPath,
+  // ordinalsPath }, public keys hex. ordinals default to payment. with the signer's master fingerprint the
+  // psbts carry key origins, which hardware wallets need, the paths default to the account's first address
+  setAccount(account) {
+    this.account = {
+      ...account,
+      ordinalsAddress: account.ordinalsAddress || account.paymentAddress,
+      ordinalsPublicKey: account.ordinalsPublicKey || account.paymentPublicKey,
+    };
+  }
+
+  async connect(network) {
+    const account = this.account ?? loadFileWalletAccount();
+    if (!account?.paymentAddress || !account?.paymentPublicKey) {
+      throw new WalletError('Enter the address and public key of the signer first', { walletType: this.walletType });
+    }
+    const keys = [
+      { address: account.paymentAddress, publicKey: account.paymentPublicKey, path: account.paymentPath },
+      { address: account.ordinalsAddress, publicKey: account.ordinalsPublicKey, path: account.ordinalsPath },
+    ];
+    const keyOrigins = {};
+    keys.forEach(({ address, publicKey, path }) => {
+      if (!getNetworksFromAddress(address).includes(network)) {
+        throw new WrongNetworkError(`${address} is not a ${network} address`, { walletType: this.walletType, network });
+      }
+      const addressType = findKeyAddressType(publicKey, address, network);
+      if (addressType === null) throw new WalletError(`${address} is not the address of public key ${publicKey}`, { walletType: this.walletType });
+      if (!account.masterFingerprint) return;
+      keyOrigins[address] = {
+        masterFingerprint: Buffer.from(account.masterFingerprint, 'hex'),
+        path: path || getDerivationPath(addressType, network),
+        publicKey: Buffer.from(publicKey, 'hex'),
+        addressType,
+      };
+    });
+
+    this.account = account;
+    this.keyOrigins = keyOrigins;
+    this.network = network;
+    this.paymentAddress = account.paymentAddress;
+    this.ordinalsAddress = account.ordinalsAddress;
+    this.paymentPublicKey = account.paymentPublicKey;
+    this.ordinalsPublicKey = account.ordinalsPublicKey;
+    saveFileWalletAccount(account);
+
+    return this.getAccountInfo();
+  }
+
+  // the account last entered, if its addresses are on network
+  async reconnect(network) {
+    const account = loadFileWalletAccount();
+    if (!account) return null;
+    this.account = account;
+    try {
+      return await this.connect(network);
+    } catch (error) {
+      console.log('Could not reconnect the air-gapped signer:', error.message);
+      return null;
+    }
+  }
+
+  async getNetwork() {
+    return this.network;
+  }
+
+  // testnet and signet share addresses, other networks need the signer's addresses there
+  async switchNetwork(network) {
+    return this.connect(network);
+  }
+
+  subscribeProviderEvents() {
+    return () => {}; // the account only changes through connect
+  }
+
+  // hardware wallets only sign inputs saying where in their tree the key is
+  addKeyOrigins(psbt, signingIndexes = null) {
+    const indexes = signingIndexes
+      ? signingIndexes.map(idx => idx.index)
+      : this.getInputsToSignGrouped(psbt).flatMap(group => group.signingIndexes);
+    indexes.forEach(index => {
+      const input = psbt.data.inputs[index];
+      const keyOrigin = this.keyOrigins[this.getInputAddress(input)];
+      if (!keyOrigin) return;
+      const { masterFingerprint, path, publicKey, addressType } = keyOrigin;
+      if (addressType === 'p2tr') {
+        if (input.tapBip32Derivation) return;
+        psbt.updateInput(index, {
+          tapBip32Derivation: [{ masterFingerprint, path, pubkey: toXOnly(publicKey), leafHashes: [] }],
+          ...(!input.tapInternalKey && { tapInternalKey: toXOnly(publicKey) }),
+        });
+      } else if (!input.bip32Derivation) {
+        psbt.updateInput(index, { bip32Derivation: [{ masterFingerprint, path, pubkey: publicKey }] });
+      }
+    });
+    return psbt;
+  }
+
+  async signPsbt(psbt, signingIndexes = null) {
+    const [signedPsbt] = await this.requestSignatures([psbt], [signingIndexes]);
+    return signedPsbt;
+  }
+
+  // one request for all of them, the user signs them in one go
+  async signPsbts(psbtArray, signingIndexesArray) {
+    return this.requestSignatures(psbtArray, signingIndexesArray);
+  }
+
+  // resolves with the signed psbts once importSignedPsbt has had them all, rejects if cancelSigning is called first
+  requestSignatures(psbts, signingIndexesArray) {
+    if (this.signingRequest) {
+      return Promise.reject(new WalletError('Another signing request is still waiting for its psbts', { walletType: this.walletType }));
+    }
+    return new Promise((resolve, reject) => {
+      this.signingRequest = {
+        psbts: psbts.map((psbt, i) => this.addKeyOrigins(psbt.clone(), signingIndexesArray[i]).toBase64()),
+        signedPsbts: psbts.map(() => null),
+        resolve,
+        reject,
+      };
+      this.emit('signingRequestChanged', this.getSigningRequest());
+    });
+  }
+
+  // what the page shows: the psbts to sign as base64 and which have come back, null if nothing is waiting
+  getSigningRequest() {
+    if (!this.signingRequest) return null;
+    return {
+      psbts: this.signingRequest.psbts,
+      signed: this.signingRequest.signedPsbts.map(psbt => psbt !== null),
+    };
+  }
+
+  // signed psbts come back one at a time in any order, matched by transaction. our copy is combined back in as
+  // signers drop fields they didn't need. throws unless it's one of the request's and signed enough to finalize
+  importSignedPsbt(signedPsbt) {
+    const request = this.signingRequest;
+    if (!request) throw new WalletError('No signing request is waiting for a psbt', { walletType: this.walletType });
+    const txId = signedPsbt.__CACHE.__TX.getId();
+    const index = request.psbts.findIndex(psbt => bitcoin.Psbt.fromBase64(psbt).__CACHE.__TX.getId() === txId);
+    if (index === -1) {
+      throw new SigningFailedError('That psbt is not one of the transactions waiting to be signed', { walletType: this.walletType });
+    }
+    request.signedPsbts[index] = this.finalizePsbt(bitcoin.Psbt.fromBase64(request.psbts[index]).combine(signedPsbt));
+    if (request.signedPsbts.every(psbt => psbt !== null)) {
+      this.signingRequest = null;
+      request.resolve(request.signedPsbts);
+    }
+    this.emit('signingRequestChanged', this.getSigningRequest());
+  }
+
+  cancelSigning() {
+    const request = this.signingRequest;
+    if (!request) return;
+    this.signingRequest = null;
+    request.reject(new UserRejectedError('Signing cancelled', { walletType: this.walletType }));
+    this.emit('signingRequestChanged', null);
   }
 }
 
 export {
+  Wallet,
   UnisatWallet,
+  SatsConnectWallet,
   XverseWallet,
   LeatherWallet,
   OkxWallet,
   MagicEdenWallet,
   PhantomWallet,
-  OylWallet
+  OylWallet,
+  WalletStandardWallet,
+  PrivateKeyWallet,
+  MnemonicWallet,
+  FileWallet
 };
\ No newline at end of file
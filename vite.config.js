@@ -7,4 +7,14 @@ import react from '@vitejs/plugin-react-swc'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [wasm(), topLevelAwait(), nodePolyfills(), react()], // Note order matters
+  server: {
+    proxy: {
+      // local regtest bitcoind (npm run regtest), proxied since bitcoind doesn't do cors
+      '/regtest-rpc': {
+        target: 'http://127.0.0.1:18443',
+        changeOrigin: true,
+        rewrite: () => '/',
+      },
+    },
+  },
 })